@@ -0,0 +1,189 @@
+// cron/daily-digest.js
+// Resumo diário dos pedidos, chamado pelo cron da Vercel (vercel.json "crons")
+// Mesma busca e classificação do shopify-proxy (lib/order-pipeline.js), em todas as lojas do registro
+// ?dry_run=1 devolve o resumo sem enviar nem gravar a base do próximo
+
+import { requireCronSecret } from '../../lib/auth.js';
+import { createShopifyClient, httpStatusForShopifyError } from '../../lib/shopify-client.js';
+import { shopifyNow } from '../../lib/shopify-transport.js';
+import { runOrderPipeline, combinePipelineResults, summarizeOrders } from '../../lib/order-pipeline.js';
+import { recordStatsSnapshot } from '../../lib/stats-history.js';
+import { loadStores } from '../../lib/stores.js';
+import {
+    DIGEST_CHANNELS,
+    buildDailyDigest,
+    loadDigestState,
+    saveDigestState,
+    deliverDigest,
+    digestMarkdown,
+    digestHtml
+} from '../../lib/digest.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // A Vercel chama o cron com GET
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    if (!requireCronSecret(req, res)) {
+        return;
+    }
+
+    // ============================
+    // 1. CONFIGURAÇÕES
+    // ============================
+    const SYNC_MODE = process.env.SYNC_MODE || 'full';
+    const DIGEST_CHANNEL = process.env.DIGEST_CHANNEL || 'log';
+    const dryRun = ['1', 'true'].includes(String(req.query?.dry_run || ''));
+
+    // Lojas do registro (config/stores.json); sem registro, a loja de SHOP_DOMAIN
+    let stores;
+    try {
+        stores = await loadStores();
+    } catch (error) {
+        console.error('❌', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Registro de lojas inválido',
+            message: error.message
+        });
+    }
+
+    if (!stores.some(store => store.token)) {
+        console.error('❌ Token da Shopify não configurado');
+        return res.status(500).json({
+            success: false,
+            error: 'Token não configurado no servidor'
+        });
+    }
+
+    if (!DIGEST_CHANNELS.includes(DIGEST_CHANNEL)) {
+        return res.status(500).json({
+            success: false,
+            error: 'Canal do resumo inválido',
+            message: `DIGEST_CHANNEL deve ser um de: ${DIGEST_CHANNELS.join(', ')}`
+        });
+    }
+
+    try {
+        // ============================
+        // 2. BUSCAR E CLASSIFICAR
+        // ============================
+        const now = shopifyNow();
+
+        // Lojas em paralelo, como no shopify-proxy: uma loja com erro não derruba as outras
+        const settled = await Promise.allSettled(stores.map(store => {
+            if (!store.token) {
+                return Promise.reject(new Error(`Token da loja não configurado (${store.tokenEnv})`));
+            }
+
+            return runOrderPipeline(createShopifyClient({
+                shopDomain: store.domain,
+                accessToken: store.token,
+                apiVersion: store.apiVersion
+            }), {
+                daysToFetch: parseInt(process.env.DAYS_TO_FETCH || '90'),
+                maxPages: parseInt(process.env.MAX_PAGES || '15'),
+                backend: process.env.SHOPIFY_FETCH_BACKEND || 'rest',
+                bulkMinDays: parseInt(process.env.SHOPIFY_BULK_MIN_DAYS || '180'),
+                bulkTimeoutMs: parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MS || '20000'),
+                syncRequested: SYNC_MODE,
+                useSnapshot: SYNC_MODE === 'incremental',
+                fullResyncHours: parseInt(process.env.FULL_RESYNC_HOURS || '24'),
+                trackingMaxLookups: parseInt(process.env.TRACKING_MAX_LOOKUPS || '100'),
+                store,
+                now
+            });
+        }));
+
+        const storeRuns = stores.map((store, index) => ({
+            store,
+            result: settled[index].status === 'fulfilled' ? settled[index].value : null,
+            error: settled[index].status === 'rejected' ? settled[index].reason : null
+        }));
+        const failedRuns = storeRuns.filter(run => run.error);
+
+        failedRuns.forEach(run => console.error(`❌ Loja ${run.store.id}: ${run.error.message}`));
+
+        if (failedRuns.length === storeRuns.length) {
+            throw failedRuns[0].error;
+        }
+
+        const { fetchResult, allOrders, validOrders, deliveredOrders, activeOrders, enrichedOrders, ...combined } =
+            combinePipelineResults(storeRuns.filter(run => run.result));
+
+        // Loja com erro conta como busca parcial (o resumo avisa, como no limite de páginas)
+        const truncated = combined.truncated || failedRuns.length > 0;
+
+        // ============================
+        // 3. MONTAR O RESUMO
+        // ============================
+        const digest = buildDailyDigest({
+            validOrders,
+            enrichedOrders,
+            previous: await loadDigestState(),
+            now,
+            trackingWaitDays: parseInt(process.env.DIGEST_TRACKING_WAIT_DAYS || '7'),
+            topVendors: parseInt(process.env.DIGEST_TOP_VENDORS || '5'),
+            truncated
+        });
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                dry_run: true,
+                digest,
+                markdown: digestMarkdown(digest),
+                html: digestHtml(digest)
+            });
+        }
+
+        // ============================
+        // 4. ENVIAR E GRAVAR
+        // ============================
+        const delivery = await deliverDigest(digest, { channel: DIGEST_CHANNEL });
+
+        // Busca parcial (limite de páginas ou loja com erro) não vira base de comparação nem foto do histórico
+        if (!truncated) {
+            await saveDigestState(enrichedOrders);
+            await recordStatsSnapshot({
+                active_orders: activeOrders.length,
+                ...summarizeOrders(enrichedOrders)
+            }, { now, source: 'daily-digest' });
+        }
+
+        console.log(`📰 Resumo de ${digest.reference_date} enviado (${delivery.channel})`);
+
+        return res.status(200).json({
+            success: true,
+            delivery,
+            digest,
+            metadata: {
+                generated_at: new Date().toISOString(),
+                total_fetched: allOrders.length,
+                delivered_filtered: deliveredOrders.length,
+                backend: fetchResult.backend,
+                truncated,
+                stores: storeRuns.map(({ store, error }) => ({
+                    id: store.id,
+                    success: !error,
+                    error: error ? error.message : null
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao gerar resumo diário:', error);
+
+        return res.status(httpStatusForShopifyError(error)).json({
+            success: false,
+            error: 'Erro ao gerar resumo diário',
+            message: error.message
+        });
+    }
+}
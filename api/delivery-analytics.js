@@ -0,0 +1,211 @@
+// delivery-analytics.js
+// API com os prazos reais dos pedidos entregues (pedido -> envio -> entrega)
+// Base para calibrar os limites de config/sla-rules.json com dados em vez de suposições
+
+import { applyCors, requireRole } from '../lib/auth.js';
+import { createShopifyClient, httpStatusForShopifyError, ShopifyError } from '../lib/shopify-client.js';
+import { shopifyNow } from '../lib/shopify-transport.js';
+import { FETCH_BACKENDS, fetchOrders } from '../lib/order-fetch.js';
+import { loadSlaRules } from '../lib/sla-rules.js';
+import { collectOrderTracking } from '../lib/carriers.js';
+import { trackingProvidersEnabled, fetchCheckpointsBatch, latestCheckpoint } from '../lib/tracking/index.js';
+import { ANALYTICS_GROUPS, HISTOGRAM_BINS, analyzeDeliveries, deliveredAt } from '../lib/delivery-analytics.js';
+import { resolveStore } from '../lib/stores.js';
+
+const MAX_WINDOW_DAYS = 365;
+
+const first = (value) => Array.isArray(value) ? value[0] : value;
+
+// Validar a query. Retorna { params } ou { error }
+const parseAnalyticsQuery = (query = {}, { defaultDayType, defaultBackend }) => {
+    const days = parseInt(first(query.days) || '90');
+    if (!Number.isInteger(days) || days < 1 || days > MAX_WINDOW_DAYS) {
+        return { error: `days deve estar entre 1 e ${MAX_WINDOW_DAYS}` };
+    }
+
+    const groupBy = first(query.group_by)
+        ? first(query.group_by).split(',').map(g => g.trim()).filter(Boolean)
+        : ANALYTICS_GROUPS;
+    const unknown = groupBy.filter(g => !ANALYTICS_GROUPS.includes(g));
+    if (unknown.length > 0) {
+        return { error: `group_by desconhecido: ${unknown.join(', ')}. Disponíveis: ${ANALYTICS_GROUPS.join(', ')}` };
+    }
+
+    const dayType = first(query.day_type) || defaultDayType;
+    if (!['calendar', 'business'].includes(dayType)) {
+        return { error: 'day_type deve ser calendar ou business' };
+    }
+
+    const minGroupSize = parseInt(first(query.min_group_size) || '1');
+    const top = parseInt(first(query.top) || '20');
+    if (!Number.isInteger(minGroupSize) || minGroupSize < 1 || !Number.isInteger(top) || top < 1 || top > 200) {
+        return { error: 'min_group_size deve ser >= 1 e top entre 1 e 200' };
+    }
+
+    const backend = first(query.backend) || defaultBackend;
+    if (!FETCH_BACKENDS.includes(backend)) {
+        return { error: `backend deve ser um de: ${FETCH_BACKENDS.join(', ')}` };
+    }
+
+    return { params: { days, groupBy, dayType, minGroupSize, top, backend } };
+};
+
+export default async function handler(req, res) {
+    // ============================
+    // 1. CORS E AUTENTICAÇÃO
+    // ============================
+    if (applyCors(req, res)) {
+        return;
+    }
+
+    // Análise de período longo: cache de 30 minutos no navegador
+    res.setHeader('Cache-Control', 'private, max-age=1800');
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    const principal = requireRole(req, res, 'viewer');
+    if (!principal) {
+        return;
+    }
+
+    // ============================
+    // 2. CONFIGURAÇÕES
+    // ============================
+    const MAX_PAGES = parseInt(process.env.ANALYTICS_MAX_PAGES || process.env.MAX_PAGES || '15');
+    const TRACKING_MAX_LOOKUPS = parseInt(process.env.TRACKING_MAX_LOOKUPS || '100');
+
+    // Loja analisada (?store=, ver lib/stores.js); padrão: a primeira do registro
+    const resolved = await resolveStore(first(req.query.store));
+
+    if (resolved.error) {
+        return res.status(resolved.status).json({
+            success: false,
+            error: resolved.error,
+            message: resolved.message
+        });
+    }
+
+    const { store } = resolved;
+
+    try {
+        const slaRules = await loadSlaRules({ location: store.slaRulesPath });
+
+        const { params, error: queryError } = parseAnalyticsQuery(req.query, {
+            defaultDayType: slaRules.calendar.day_type,
+            defaultBackend: process.env.SHOPIFY_FETCH_BACKEND || 'rest'
+        });
+
+        if (queryError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Parâmetros inválidos',
+                message: queryError
+            });
+        }
+
+        // ============================
+        // 3. BUSCAR PEDIDOS DA JANELA
+        // ============================
+        console.log(`📈 Analisando entregas dos pedidos dos últimos ${params.days} dias (loja ${store.id}, ${params.backend})...`);
+
+        const now = shopifyNow();
+        const shopify = createShopifyClient({
+            shopDomain: store.domain,
+            accessToken: store.token,
+            apiVersion: store.apiVersion
+        });
+        const fetchResult = await fetchOrders(shopify, {
+            backend: params.backend,
+            daysToFetch: params.days,
+            maxPages: MAX_PAGES,
+            now
+        });
+
+        const orders = fetchResult.orders.filter(order => !order.cancelled_at);
+
+        // ============================
+        // 4. CHECKPOINTS DE ENTREGA
+        // ============================
+        // Enviados sem data de entrega na Shopify: a transportadora pode ter a data real
+        const checkpoints = new Map();
+
+        if (trackingProvidersEnabled()) {
+            const pending = orders.filter(order => !deliveredAt(order) && (order.fulfillments || []).length > 0);
+            const trackingByOrder = new Map(pending.map(order => [
+                order.id,
+                collectOrderTracking(order).filter(t => t.valid)
+            ]));
+
+            const results = await fetchCheckpointsBatch(
+                Array.from(trackingByOrder.values()).flat(),
+                { limit: TRACKING_MAX_LOOKUPS }
+            );
+
+            pending.forEach(order => {
+                const checkpoint = latestCheckpoint(trackingByOrder.get(order.id).map(t => results.get(t.code)));
+                if (checkpoint) checkpoints.set(order.id, checkpoint);
+            });
+
+            console.log(`🛰️ Checkpoints: ${results.size} códigos consultados`);
+        }
+
+        // ============================
+        // 5. CALCULAR PRAZOS
+        // ============================
+        const analytics = analyzeDeliveries(orders, {
+            checkpoints,
+            groupBy: params.groupBy,
+            dayType: params.dayType,
+            state: slaRules.calendar.state,
+            minGroupSize: params.minGroupSize,
+            top: params.top
+        });
+
+        const shipped = orders.filter(order => (order.fulfillments || []).some(f => f.status !== 'cancelled'));
+
+        console.log(`✅ ${analytics.delivered_orders} entregas com data entre ${orders.length} pedidos`);
+
+        return res.status(200).json({
+            success: true,
+            window: {
+                days: params.days,
+                from: new Date(now.getTime() - params.days * 24 * 60 * 60 * 1000).toISOString(),
+                to: now.toISOString(),
+                day_type: params.dayType
+            },
+            totals: {
+                orders: orders.length,
+                shipped_orders: shipped.length,
+                delivered_orders: analytics.delivered_orders,
+                // Enviados sem data de entrega (em trânsito ou entregues sem registro)
+                shipped_without_delivery_date: shipped.length - analytics.delivered_orders,
+                delivered_sources: analytics.delivered_sources
+            },
+            lead_times: analytics.overall,
+            groups: analytics.groups,
+            metadata: {
+                generated_at: new Date().toISOString(),
+                store: store.id,
+                histogram_bins: HISTOGRAM_BINS,
+                backend: fetchResult.backend,
+                truncated: fetchResult.truncated,
+                pages_processed: fetchResult.pages,
+                version: '2.0'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao analisar entregas:', error);
+
+        return res.status(error instanceof ShopifyError ? httpStatusForShopifyError(error) : 500).json({
+            success: false,
+            error: 'Erro ao analisar entregas',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,310 @@
+// order-actions.js
+// API para alterar pedidos na Shopify a partir do dashboard
+// Tags, notas, note_attributes e marcação de entrega, em lote
+
+import { localDateKey, TIMEZONE } from '../lib/business-calendar.js';
+import { invalidateOrderDetails } from '../lib/order-cache.js';
+import { applyCors, requireRole } from '../lib/auth.js';
+import { createShopifyClient, ShopifyNotFoundError } from '../lib/shopify-client.js';
+import { resolveStore } from '../lib/stores.js';
+
+// Cada pedido leva de 2 a 4 chamadas em sequência: lotes maiores não cabem nos 30s da função
+const MAX_ORDERS_PER_REQUEST = 20;
+
+// Tempo para começar um novo pedido (o resto volta em unprocessed_order_ids, sem alteração)
+const DEFAULT_DEADLINE_MS = 20000;
+
+// Tags da Shopify vêm como "a, b, c"
+const splitTags = (tags) => (tags || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+    .filter(v => v !== undefined && v !== null && String(v).trim() !== '')
+    .map(v => String(v).trim());
+
+// note_attributes aceita { nome: valor } ou [{ name, value }]
+const toNoteAttributes = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(attr => ({ name: String(attr.name), value: String(attr.value ?? '') }));
+    }
+    return Object.entries(value || {}).map(([name, attrValue]) => ({ name, value: String(attrValue ?? '') }));
+};
+
+// Carimbo "dd/mm/aaaa hh:mm" no fuso de São Paulo
+const noteTimestamp = (date = new Date()) => {
+    const [year, month, day] = localDateKey(date).split('-');
+    const time = new Intl.DateTimeFormat('pt-BR', {
+        timeZone: TIMEZONE,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(date);
+    return `${day}/${month}/${year} ${time}`;
+};
+
+// Validar o corpo da requisição. Retorna { orderIds, actions } ou { error }
+const parseRequest = (body) => {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Corpo da requisição deve ser um JSON' };
+    }
+
+    const orderIds = toList(body.order_ids ?? body.orderIds ?? body.order_id);
+    if (orderIds.length === 0) {
+        return { error: 'Informe order_ids com ao menos um pedido' };
+    }
+    if (orderIds.length > MAX_ORDERS_PER_REQUEST) {
+        return { error: `No máximo ${MAX_ORDERS_PER_REQUEST} pedidos por requisição` };
+    }
+    const invalidIds = orderIds.filter(id => !/^\d+$/.test(id));
+    if (invalidIds.length > 0) {
+        return { error: `IDs de pedido inválidos: ${invalidIds.join(', ')}` };
+    }
+
+    const raw = body.actions || {};
+    const actions = {
+        add_tags: toList(raw.add_tags),
+        remove_tags: toList(raw.remove_tags),
+        note: raw.note ? String(raw.note).trim() : null,
+        note_attributes: raw.note_attributes ? toNoteAttributes(raw.note_attributes) : null,
+        mark_delivered: raw.mark_delivered === true
+    };
+
+    const hasAction = actions.add_tags.length > 0 ||
+        actions.remove_tags.length > 0 ||
+        actions.note ||
+        actions.note_attributes ||
+        actions.mark_delivered;
+
+    if (!hasAction) {
+        return { error: 'Nenhuma ação informada (add_tags, remove_tags, note, note_attributes, mark_delivered)' };
+    }
+
+    return {
+        orderIds: Array.from(new Set(orderIds)),
+        actions,
+        author: body.author ? String(body.author).trim() : null
+    };
+};
+
+export default async function handler(req, res) {
+    // ============================
+    // 1. CORS E AUTENTICAÇÃO
+    // ============================
+    if (applyCors(req, res, { methods: ['POST', 'OPTIONS'] })) {
+        return;
+    }
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    // Alterar pedidos requer operator ou admin
+    const principal = requireRole(req, res, 'operator');
+    if (!principal) {
+        return;
+    }
+
+    // ============================
+    // 2. CONFIGURAÇÕES
+    // ============================
+    const DEADLINE_MS = parseInt(process.env.ORDER_ACTIONS_DEADLINE_MS || String(DEFAULT_DEADLINE_MS));
+    const startedAt = Date.now();
+
+    // Loja dos pedidos ("store" no corpo ou ?store=, ver lib/stores.js); padrão: a primeira do registro
+    const resolved = await resolveStore(req.body?.store ?? req.query?.store);
+
+    if (resolved.error) {
+        return res.status(resolved.status).json({
+            success: false,
+            error: resolved.error,
+            message: resolved.message
+        });
+    }
+
+    const { store } = resolved;
+
+    const { orderIds, actions, author: requestAuthor, error: requestError } = parseRequest(req.body);
+
+    // Autor da nota é quem se autenticou (nome da sessão ou id da chave). author do corpo
+    // (quem pediu no balcão, por exemplo) só aparece ao lado, nunca no lugar
+    const principalName = principal.claims?.name || principal.id;
+    const author = requestAuthor && requestAuthor !== principalName
+        ? `${principalName} (${requestAuthor})`
+        : principalName;
+
+    if (requestError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Requisição inválida',
+            message: requestError
+        });
+    }
+
+    // ============================
+    // 3. FUNÇÕES AUXILIARES
+    // ============================
+
+    const shopify = createShopifyClient({
+        shopDomain: store.domain,
+        accessToken: store.token,
+        apiVersion: store.apiVersion
+    });
+
+    const shopifyRequest = async (path, { method = 'GET', body } = {}) => {
+        try {
+            const { data } = await shopify.request(path, { method, body });
+            return data;
+        } catch (error) {
+            if (error instanceof ShopifyNotFoundError) {
+                error.message = 'Pedido não encontrado';
+            }
+            throw error;
+        }
+    };
+
+    // Aplicar todas as ações em um pedido
+    const applyActions = async (orderId) => {
+        const result = { order_id: orderId, success: true, applied: {}, errors: {} };
+
+        const { order } = await shopifyRequest(
+            `orders/${orderId}.json?fields=id,name,tags,note,note_attributes,fulfillments`
+        );
+        result.name = order.name;
+
+        // Tags, nota e note_attributes vão em um único PUT
+        const update = { id: order.id };
+
+        if (actions.add_tags.length > 0 || actions.remove_tags.length > 0) {
+            const removeLower = actions.remove_tags.map(t => t.toLowerCase());
+            const tags = splitTags(order.tags).filter(t => !removeLower.includes(t.toLowerCase()));
+            actions.add_tags.forEach(tag => {
+                if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+            });
+            update.tags = tags.join(', ');
+        }
+
+        if (actions.note) {
+            const line = `[${noteTimestamp()}${author ? ` - ${author}` : ''}] ${actions.note}`;
+            update.note = order.note ? `${order.note}\n${line}` : line;
+        }
+
+        if (actions.note_attributes) {
+            // Mesclar por nome com os atributos existentes
+            const attributes = new Map((order.note_attributes || []).map(attr => [attr.name, attr]));
+            actions.note_attributes.forEach(attr => attributes.set(attr.name, attr));
+            update.note_attributes = Array.from(attributes.values());
+        }
+
+        if (Object.keys(update).length > 1) {
+            try {
+                await shopifyRequest(`orders/${orderId}.json`, { method: 'PUT', body: { order: update } });
+                Object.keys(update)
+                    .filter(key => key !== 'id')
+                    .forEach(key => { result.applied[key] = true; });
+            } catch (error) {
+                result.success = false;
+                result.errors.update = error.message;
+            }
+        }
+
+        // Marcar entrega via evento de fulfillment
+        if (actions.mark_delivered) {
+            const fulfillments = (order.fulfillments || []).filter(f => f.status !== 'cancelled');
+
+            if (fulfillments.length === 0) {
+                result.success = false;
+                result.errors.mark_delivered = 'Pedido sem fulfillment para marcar como entregue';
+            } else {
+                const delivered = [];
+                for (const fulfillment of fulfillments) {
+                    if (fulfillment.shipment_status === 'delivered') continue;
+                    try {
+                        await shopifyRequest(`orders/${orderId}/fulfillments/${fulfillment.id}/events.json`, {
+                            method: 'POST',
+                            body: { event: { status: 'delivered' } }
+                        });
+                        delivered.push(fulfillment.id);
+                    } catch (error) {
+                        result.success = false;
+                        result.errors.mark_delivered = error.message;
+                    }
+                }
+                result.applied.mark_delivered = delivered;
+            }
+        }
+
+        return result;
+    };
+
+    // ============================
+    // 4. EXECUTAR AÇÕES
+    // ============================
+
+    try {
+        console.log(`✏️ ${principal.id} aplicando ações em ${orderIds.length} pedidos da loja ${store.id}:`, actions);
+
+        const results = [];
+        const unprocessed = [];
+
+        // Um pedido por vez para respeitar o limite de chamadas da Shopify. Passado o prazo,
+        // os pedidos restantes nem começam: quem chamou sabe exatamente o que reenviar
+        for (const orderId of orderIds) {
+            if (Date.now() - startedAt > DEADLINE_MS) {
+                unprocessed.push(orderId);
+                continue;
+            }
+            try {
+                results.push(await applyActions(orderId));
+            } catch (error) {
+                results.push({
+                    order_id: orderId,
+                    success: false,
+                    applied: {},
+                    errors: { order: error.message }
+                });
+            }
+        }
+
+        // Detalhes desses pedidos mudaram: descartar o cache do order-details
+        const invalidated = await invalidateOrderDetails(results.map(r => r.order_id));
+
+        const failed = results.filter(r => !r.success).length;
+        console.log(`✅ Ações concluídas: ${results.length - failed} ok, ${failed} com erro, ${unprocessed.length} não processados`);
+
+        // 207 quando parte dos pedidos falhou ou ficou para outra requisição
+        const complete = failed === 0 && unprocessed.length === 0;
+        return res.status(complete ? 200 : 207).json({
+            success: complete,
+            results: results,
+            unprocessed_order_ids: unprocessed,
+            summary: {
+                total: orderIds.length,
+                processed: results.length,
+                succeeded: results.length - failed,
+                failed: failed,
+                unprocessed: unprocessed.length,
+                cache_invalidated: invalidated
+            },
+            metadata: {
+                generated_at: new Date().toISOString(),
+                store: store.id,
+                version: '2.0'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao aplicar ações:', error);
+
+        return res.status(500).json({
+            success: false,
+            error: 'Erro ao aplicar ações',
+            message: error.message
+        });
+    }
+}
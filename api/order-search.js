@@ -0,0 +1,163 @@
+// order-search.js
+// API de busca para o atendimento: número (#1234), e-mail, CPF/CNPJ, telefone ou rastreio
+// Devolve cartões resumidos; os detalhes completos ficam no order-details
+
+import { applyCors, requireRole, canViewPii } from '../lib/auth.js';
+import { createShopifyClient, httpStatusForShopifyError } from '../lib/shopify-client.js';
+import { shopifyNow } from '../lib/shopify-transport.js';
+import { FETCH_BACKENDS } from '../lib/order-fetch.js';
+import { loadSlaRules } from '../lib/sla-rules.js';
+import { PII_SEARCH_TYPES, parseSearchQuery, searchOrders, orderSummaryCard } from '../lib/order-search.js';
+import { resolveRedactionProfile, auditPiiAccess } from '../lib/pii.js';
+import { resolveStore } from '../lib/stores.js';
+
+const MAX_RESULTS = 50;
+
+const first = (value) => Array.isArray(value) ? value[0] : value;
+
+export default async function handler(req, res) {
+    // ============================
+    // 1. CORS E AUTENTICAÇÃO
+    // ============================
+    if (applyCors(req, res)) {
+        return;
+    }
+
+    // Resultado depende do papel e muda com novos pedidos: sem cache
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    const principal = requireRole(req, res, 'viewer');
+    if (!principal) {
+        return;
+    }
+
+    // ============================
+    // 2. VALIDAR PARÂMETROS
+    // ============================
+    // Loja da busca (?store=, ver lib/stores.js); padrão: a primeira do registro
+    const resolved = await resolveStore(first(req.query.store));
+
+    if (resolved.error) {
+        return res.status(resolved.status).json({
+            success: false,
+            error: resolved.error,
+            message: resolved.message
+        });
+    }
+
+    const { store } = resolved;
+
+    const search = parseSearchQuery(first(req.query.q), first(req.query.type) || null);
+
+    if (search.error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Parâmetros inválidos',
+            message: search.error
+        });
+    }
+
+    const limit = parseInt(first(req.query.limit) || '20');
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+        return res.status(400).json({
+            success: false,
+            error: 'Parâmetros inválidos',
+            message: `limit deve estar entre 1 e ${MAX_RESULTS}`
+        });
+    }
+
+    // Buscar por dado pessoal revelaria a quem ele pertence
+    const showPii = canViewPii(principal);
+    if (PII_SEARCH_TYPES.includes(search.type) && !showPii) {
+        return res.status(403).json({
+            success: false,
+            error: 'Acesso negado',
+            message: `Busca por ${search.type} requer papel operator ou superior`
+        });
+    }
+
+    const access = resolveRedactionProfile(principal, first(req.query.profile) || null);
+    if (access.error) {
+        return res.status(access.status).json({
+            success: false,
+            error: access.error,
+            message: access.message
+        });
+    }
+
+    const backend = process.env.SHOPIFY_FETCH_BACKEND || 'rest';
+
+    try {
+        // ============================
+        // 3. BUSCAR
+        // ============================
+        console.log(`🔎 Buscando pedidos por ${search.type} (loja ${store.id})...`);
+
+        const now = shopifyNow();
+        const shopify = createShopifyClient({
+            shopDomain: store.domain,
+            accessToken: store.token,
+            apiVersion: store.apiVersion
+        });
+        const [result, slaRules] = await Promise.all([
+            searchOrders(shopify, search, {
+                daysToFetch: parseInt(process.env.SEARCH_DAYS || process.env.DAYS_TO_FETCH || '90'),
+                maxPages: parseInt(process.env.MAX_PAGES || '15'),
+                backend: FETCH_BACKENDS.includes(backend) ? backend : 'rest',
+                limit,
+                store,
+                now
+            }),
+            loadSlaRules({ location: store.slaRulesPath })
+        ]);
+
+        const cards = result.orders.map(order => orderSummaryCard(order, {
+            slaRules,
+            matchedBy: search.type,
+            profile: access.profile,
+            store,
+            now
+        }));
+
+        console.log(`✅ ${cards.length} pedidos encontrados (${result.source})`);
+
+        await auditPiiAccess(req, principal, {
+            route: 'order-search',
+            profile: access.profile,
+            orderIds: cards.map(card => card.id)
+        });
+
+        return res.status(200).json({
+            success: true,
+            query: {
+                type: search.type,
+                value: search.value
+            },
+            count: cards.length,
+            orders: cards,
+            metadata: {
+                generated_at: now.toISOString(),
+                store: store.id,
+                source: result.source,
+                truncated: result.truncated,
+                access: { role: principal.role, profile: access.profile, pii: access.profile === 'full' }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Erro na busca de pedidos:', error);
+
+        return res.status(httpStatusForShopifyError(error)).json({
+            success: false,
+            error: 'Erro na busca de pedidos',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,205 @@
+// product-delays.js
+// API de atrasos por SKU, produto e fornecedor (pedidos ativos e entregues recentemente)
+// Ranking para compras: quem mais atrasa, demora para gerar rastreio ou acumula pendências
+
+import { applyCors, requireRole } from '../lib/auth.js';
+import { createShopifyClient, httpStatusForShopifyError, ShopifyError } from '../lib/shopify-client.js';
+import { shopifyNow } from '../lib/shopify-transport.js';
+import { FETCH_BACKENDS } from '../lib/order-fetch.js';
+import { loadSlaRules } from '../lib/sla-rules.js';
+import { runOrderPipeline } from '../lib/order-pipeline.js';
+import { PRODUCT_GROUPS, RANK_FIELDS, analyzeProductDelays } from '../lib/product-delays.js';
+import { resolveStore } from '../lib/stores.js';
+
+const first = (value) => Array.isArray(value) ? value[0] : value;
+
+// Validar a query. Retorna { params } ou { error }
+const parseDelaysQuery = (query = {}, { defaultDayType, defaultBackend, daysToFetch }) => {
+    // Entregues só existem dentro da janela da busca (DAYS_TO_FETCH)
+    const deliveredDays = parseInt(first(query.delivered_days) || String(Math.min(30, daysToFetch)));
+    if (!Number.isInteger(deliveredDays) || deliveredDays < 1 || deliveredDays > daysToFetch) {
+        return { error: `delivered_days deve estar entre 1 e ${daysToFetch}` };
+    }
+
+    const groupBy = first(query.group_by)
+        ? first(query.group_by).split(',').map(g => g.trim()).filter(Boolean)
+        : PRODUCT_GROUPS;
+    const unknown = groupBy.filter(g => !PRODUCT_GROUPS.includes(g));
+    if (unknown.length > 0) {
+        return { error: `group_by desconhecido: ${unknown.join(', ')}. Disponíveis: ${PRODUCT_GROUPS.join(', ')}` };
+    }
+
+    const rankBy = first(query.rank_by) || 'late_items';
+    if (!RANK_FIELDS.includes(rankBy)) {
+        return { error: `rank_by deve ser um de: ${RANK_FIELDS.join(', ')}` };
+    }
+
+    const direction = (first(query.order) || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) {
+        return { error: 'order deve ser asc ou desc' };
+    }
+
+    const dayType = first(query.day_type) || defaultDayType;
+    if (!['calendar', 'business'].includes(dayType)) {
+        return { error: 'day_type deve ser calendar ou business' };
+    }
+
+    const minGroupSize = parseInt(first(query.min_group_size) || '1');
+    const top = parseInt(first(query.top) || '20');
+    if (!Number.isInteger(minGroupSize) || minGroupSize < 1 || !Number.isInteger(top) || top < 1 || top > 200) {
+        return { error: 'min_group_size deve ser >= 1 e top entre 1 e 200' };
+    }
+
+    const backend = first(query.backend) || defaultBackend;
+    if (!FETCH_BACKENDS.includes(backend)) {
+        return { error: `backend deve ser um de: ${FETCH_BACKENDS.join(', ')}` };
+    }
+
+    return { params: { deliveredDays, groupBy, rankBy, direction, dayType, minGroupSize, top, backend } };
+};
+
+export default async function handler(req, res) {
+    // ============================
+    // 1. CORS E AUTENTICAÇÃO
+    // ============================
+    if (applyCors(req, res)) {
+        return;
+    }
+
+    // Ranking muda devagar: cache de 15 minutos no navegador
+    res.setHeader('Cache-Control', 'private, max-age=900');
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    const principal = requireRole(req, res, 'viewer');
+    if (!principal) {
+        return;
+    }
+
+    // ============================
+    // 2. CONFIGURAÇÕES
+    // ============================
+    const DAYS_TO_FETCH = parseInt(process.env.DAYS_TO_FETCH || '90');
+    const MAX_PAGES = parseInt(process.env.MAX_PAGES || '15');
+
+    // Loja analisada (?store=, ver lib/stores.js); padrão: a primeira do registro
+    const resolved = await resolveStore(first(req.query.store));
+
+    if (resolved.error) {
+        return res.status(resolved.status).json({
+            success: false,
+            error: resolved.error,
+            message: resolved.message
+        });
+    }
+
+    const { store } = resolved;
+
+    try {
+        const slaRules = await loadSlaRules({ location: store.slaRulesPath });
+
+        const { params, error: queryError } = parseDelaysQuery(req.query, {
+            defaultDayType: slaRules.calendar.day_type,
+            defaultBackend: process.env.SHOPIFY_FETCH_BACKEND || 'rest',
+            daysToFetch: DAYS_TO_FETCH
+        });
+
+        if (queryError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Parâmetros inválidos',
+                message: queryError
+            });
+        }
+
+        // ============================
+        // 3. BUSCAR E CLASSIFICAR
+        // ============================
+        // Mesma busca do shopify-proxy: ativos com a análise por item e entregues da janela
+        const now = shopifyNow();
+        const {
+            fetchResult,
+            truncated,
+            deliveredOrders,
+            enrichedOrders,
+            checkpointsByOrder
+        } = await runOrderPipeline(createShopifyClient({
+            shopDomain: store.domain,
+            accessToken: store.token,
+            apiVersion: store.apiVersion
+        }), {
+            daysToFetch: DAYS_TO_FETCH,
+            maxPages: MAX_PAGES,
+            backend: params.backend,
+            bulkMinDays: parseInt(process.env.SHOPIFY_BULK_MIN_DAYS || '180'),
+            bulkTimeoutMs: parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MS || '20000'),
+            trackingMaxLookups: parseInt(process.env.TRACKING_MAX_LOOKUPS || '100'),
+            store,
+            now
+        });
+
+        // ============================
+        // 4. AGRUPAR E ORDENAR
+        // ============================
+        const delays = analyzeProductDelays({
+            activeOrders: enrichedOrders,
+            deliveredOrders,
+            checkpoints: checkpointsByOrder,
+            slaRules,
+            groupBy: params.groupBy,
+            deliveredDays: params.deliveredDays,
+            dayType: params.dayType,
+            rankBy: params.rankBy,
+            direction: params.direction,
+            minGroupSize: params.minGroupSize,
+            top: params.top,
+            now
+        });
+
+        console.log(`🏷️ Atrasos por produto: ${delays.line_items} itens de ${delays.active_orders} pedidos ativos e ${delays.delivered_orders} entregues`);
+
+        return res.status(200).json({
+            success: true,
+            window: {
+                days_fetched: DAYS_TO_FETCH,
+                delivered_days: params.deliveredDays,
+                day_type: params.dayType
+            },
+            totals: {
+                active_orders: delays.active_orders,
+                delivered_orders: delays.delivered_orders,
+                line_items: delays.line_items,
+                late_items: delays.late_items
+            },
+            ranking: {
+                rank_by: params.rankBy,
+                order: params.direction,
+                top: params.top,
+                min_group_size: params.minGroupSize
+            },
+            groups: delays.groups,
+            metadata: {
+                generated_at: now.toISOString(),
+                store: store.id,
+                backend: fetchResult.backend,
+                truncated: truncated,
+                pages_processed: fetchResult.pages,
+                version: '2.0'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao analisar atrasos por produto:', error);
+
+        return res.status(error instanceof ShopifyError ? httpStatusForShopifyError(error) : 500).json({
+            success: false,
+            error: 'Erro ao analisar atrasos por produto',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,96 @@
+// stats/history.js
+// Série diária das estatísticas (ativos, atrasados, críticos, sem rastreio, % de atraso)
+// As fotos são gravadas pelo shopify-proxy; aqui só se lê o histórico
+
+import { applyCors, requireRole } from '../../lib/auth.js';
+import { localDateKey, addDays } from '../../lib/business-calendar.js';
+import { SERIES_FIELDS, loadStatsHistory } from '../../lib/stats-history.js';
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const first = (value) => Array.isArray(value) ? value[0] : value;
+
+const isValidDate = (key) => DATE_PATTERN.test(key) && !Number.isNaN(Date.parse(`${key}T00:00:00Z`))
+    && new Date(`${key}T00:00:00Z`).toISOString().slice(0, 10) === key;
+
+// Validar from/to (YYYY-MM-DD). Retorna { range } ou { error }
+const parseRange = (query = {}) => {
+    const to = first(query.to) || localDateKey();
+    const from = first(query.from) || addDays(to, -(DEFAULT_DAYS - 1));
+
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return { error: 'from e to devem estar no formato YYYY-MM-DD' };
+    }
+    if (from > to) {
+        return { error: 'from deve ser anterior ou igual a to' };
+    }
+
+    const days = Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > MAX_DAYS) {
+        return { error: `Intervalo máximo de ${MAX_DAYS} dias` };
+    }
+
+    return { range: { from, to, days } };
+};
+
+export default async function handler(req, res) {
+    if (applyCors(req, res)) {
+        return;
+    }
+
+    // Uma foto por dia: alguns minutos de cache no navegador bastam
+    res.setHeader('Cache-Control', 'private, max-age=600');
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    const principal = requireRole(req, res, 'viewer');
+    if (!principal) {
+        return;
+    }
+
+    const { range, error: rangeError } = parseRange(req.query);
+
+    if (rangeError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Parâmetros inválidos',
+            message: rangeError
+        });
+    }
+
+    try {
+        const series = await loadStatsHistory(range.from, range.to);
+        const recorded = series.filter(day => day.recorded_at);
+
+        return res.status(200).json({
+            success: true,
+            range: range,
+            fields: SERIES_FIELDS,
+            series: series,
+            latest: recorded.length > 0 ? recorded[recorded.length - 1] : null,
+            metadata: {
+                generated_at: new Date().toISOString(),
+                days_recorded: recorded.length,
+                days_missing: series.length - recorded.length,
+                store: process.env.STATS_STORE || 'storage'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao ler histórico de estatísticas:', error);
+
+        return res.status(500).json({
+            success: false,
+            error: 'Erro ao ler histórico',
+            message: error.message
+        });
+    }
+}
@@ -1,7 +1,14 @@
+import { applyCors } from '../lib/auth.js';
+
+// Health check público (sem dados de pedidos)
 export default function handler(req, res) {
+    if (applyCors(req, res)) {
+        return;
+    }
+    
     res.status(200).json({ 
         success: true,
         message: 'API ORNE funcionando!',
         timestamp: new Date().toISOString()
     });
-}
\ No newline at end of file
+}
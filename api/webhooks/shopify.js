@@ -0,0 +1,147 @@
+// webhooks/shopify.js
+// Receptor de webhooks da Shopify (pedidos e fulfillments)
+// Mantém a cópia local dos pedidos atualizada sem percorrer orders.json a cada refresh
+
+import { readRawBody, verifyShopifyHmac } from '../../lib/shopify-webhooks.js';
+import {
+    upsertOrder,
+    applyFulfillment,
+    claimDelivery,
+    releaseDelivery
+} from '../../lib/order-store.js';
+import { invalidateOrderDetails } from '../../lib/order-cache.js';
+import { loadStores, findStoreByDomain } from '../../lib/stores.js';
+
+// Tópicos tratados e como cada um atualiza a cópia local
+const TOPIC_HANDLERS = {
+    'orders/create': (payload, meta) => upsertOrder(payload, meta),
+    'orders/updated': (payload, meta) => upsertOrder(payload, meta),
+    'orders/cancelled': (payload, meta) => upsertOrder(payload, meta),
+    'fulfillments/create': (payload, meta) => applyFulfillment(payload, meta),
+    'fulfillments/update': (payload, meta) => applyFulfillment(payload, meta)
+};
+
+export default async function handler(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+
+    // A Shopify só envia POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Método não permitido'
+        });
+    }
+
+    // ============================
+    // 1. VERIFICAR ASSINATURA
+    // ============================
+    const topic = req.headers['x-shopify-topic'];
+    const webhookId = req.headers['x-shopify-webhook-id'];
+    const shopDomain = req.headers['x-shopify-shop-domain'];
+    let claimed = false;
+
+    try {
+        // Com registro de lojas, cada loja tem sua cópia e pode ter seu segredo (pelo
+        // X-Shopify-Shop-Domain; o HMAC abaixo confirma que a loja é quem diz ser)
+        const stores = await loadStores();
+        const store = stores[0].namespace ? findStoreByDomain(stores, shopDomain) : stores[0];
+
+        if (!store) {
+            console.log(`⚠️ Webhook de loja fora do registro: ${shopDomain}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Loja desconhecida'
+            });
+        }
+
+        const WEBHOOK_SECRET = store.webhookSecret || process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+
+        if (!WEBHOOK_SECRET) {
+            console.error('❌ SHOPIFY_WEBHOOK_SECRET não configurado');
+            return res.status(500).json({
+                success: false,
+                error: 'Segredo do webhook não configurado no servidor'
+            });
+        }
+
+        const rawBody = await readRawBody(req);
+
+        if (!verifyShopifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'], WEBHOOK_SECRET)) {
+            console.error(`❌ HMAC inválido para webhook ${topic} (${webhookId})`);
+            return res.status(401).json({
+                success: false,
+                error: 'Assinatura inválida'
+            });
+        }
+
+        // ============================
+        // 2. DEDUPLICAR ENTREGAS
+        // ============================
+        claimed = await claimDelivery(webhookId, topic);
+
+        if (!claimed) {
+            console.log(`↩️ Webhook ${webhookId} já processado, ignorando`);
+            return res.status(200).json({
+                success: true,
+                duplicate: true,
+                webhook_id: webhookId
+            });
+        }
+
+        // Tópicos não tratados recebem 200 para a Shopify não reenviar
+        const topicHandler = TOPIC_HANDLERS[topic];
+
+        if (!topicHandler) {
+            console.log(`⚠️ Tópico não tratado: ${topic}`);
+            return res.status(200).json({
+                success: true,
+                ignored: true,
+                topic: topic
+            });
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            await releaseDelivery(webhookId);
+            return res.status(400).json({
+                success: false,
+                error: 'Corpo do webhook não é um JSON válido'
+            });
+        }
+
+        // ============================
+        // 3. ATUALIZAR CÓPIA LOCAL
+        // ============================
+
+        const result = await topicHandler(payload, { source: 'webhook', topic, store });
+        await invalidateOrderDetails(payload.order_id || payload.id);
+
+        console.log(`✅ Webhook ${topic} de ${shopDomain} processado:`, result);
+
+        return res.status(200).json({
+            success: true,
+            topic: topic,
+            webhook_id: webhookId,
+            order_id: payload.order_id || payload.id,
+            applied: result.applied,
+            reason: result.reason
+        });
+
+    } catch (error) {
+        console.error('❌ Erro ao processar webhook:', error);
+
+        // Entrega não aplicada: o reenvio da Shopify não pode ser tratado como duplicado
+        if (claimed) {
+            await releaseDelivery(webhookId).catch(() => {});
+        }
+
+        // 500 faz a Shopify tentar de novo mais tarde
+        return res.status(500).json({
+            success: false,
+            error: 'Erro ao processar webhook',
+            message: error.message
+        });
+    }
+}
@@ -0,0 +1,24 @@
+// email.js
+// Canal de e-mail via SMTP (lib/smtp.js): ALERT_EMAIL_TO e ALERT_EMAIL_FROM
+
+import { sendMail, smtpConfigured } from '../smtp.js';
+import { alertLine, alertSummary, alertsHtml } from './format.js';
+
+export function createEmailChannel({
+    to = process.env.ALERT_EMAIL_TO,
+    from = process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER
+} = {}) {
+    return {
+        name: 'email',
+        enabled: smtpConfigured() && Boolean(to) && Boolean(from),
+        async send(alerts, { suppressed = 0 } = {}) {
+            await sendMail({
+                from,
+                to,
+                subject: alertSummary(alerts, { suppressed }),
+                text: alerts.map(a => alertLine(a)).join('\n'),
+                html: alertsHtml(alerts, { suppressed })
+            });
+        }
+    };
+}
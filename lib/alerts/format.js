@@ -0,0 +1,80 @@
+// format.js
+// Textos dos alertas (comuns aos canais)
+
+import { DEFAULT_STORE_ID } from '../stores.js';
+
+export const ALERT_TITLES = {
+    critical: 'ficou crítico',
+    stuck: 'está sem movimentação na transportadora'
+};
+
+const ALERT_ICONS = {
+    critical: '🚨',
+    stuck: '⏸️'
+};
+
+// Link para o order-details do pedido. ALERT_ORDER_URL aceita {id}, {name} e {store}
+// (ex.: "https://painel.exemplo.com/pedidos/{id}"); padrão: a própria API
+export function orderLink(order) {
+    const storeParam = order.store && order.store !== DEFAULT_STORE_ID ? '&store={store}' : '';
+    const template = process.env.ALERT_ORDER_URL || `${baseUrl()}/api/order-details?orderId={id}${storeParam}`;
+    return template
+        .replace('{id}', encodeURIComponent(order.id))
+        .replace('{name}', encodeURIComponent(order.name || ''))
+        .replace('{store}', encodeURIComponent(order.store || ''));
+}
+
+const baseUrl = () => {
+    if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+    if (process.env.VERCEL_URL) return `https://${process.env.VERCEL_URL}`;
+    return 'http://localhost:3000';
+};
+
+// Detalhe de cada tipo: prazo para crítico, dias parados para sem movimentação
+const alertDetail = (alert) => {
+    if (alert.type === 'stuck') {
+        return `${alert.days_without_movement} dias sem evento`;
+    }
+    return `${alert.prazo_status}, ${alert.days_since_order} dias desde o pedido`;
+};
+
+export function alertTitle(alert) {
+    return `${ALERT_ICONS[alert.type] || '⚠️'} Pedido ${alert.order_name} ${ALERT_TITLES[alert.type] || alert.type}`;
+}
+
+// Uma linha por alerta; link no formato de cada destino
+export function alertLine(alert, { markup = 'plain' } = {}) {
+    const detail = alertDetail(alert);
+
+    if (markup === 'slack') {
+        return `${ALERT_ICONS[alert.type] || '⚠️'} <${alert.link}|Pedido ${alert.order_name}> ${ALERT_TITLES[alert.type]} (${detail})`;
+    }
+    if (markup === 'markdown') {
+        return `${ALERT_ICONS[alert.type] || '⚠️'} [Pedido ${alert.order_name}](${alert.link}) ${ALERT_TITLES[alert.type]} (${detail})`;
+    }
+    return `${alertTitle(alert)} (${detail}): ${alert.link}`;
+}
+
+export function alertSummary(alerts, { suppressed = 0 } = {}) {
+    const header = alerts.length === 1
+        ? alertTitle(alerts[0])
+        : `${alerts.length} alertas de pedidos`;
+    return suppressed > 0 ? `${header} (+${suppressed} adiados pelo limite diário)` : header;
+}
+
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export function alertsHtml(alerts, { suppressed = 0 } = {}) {
+    const items = alerts.map(alert => `<li><a href="${escapeHtml(alert.link)}">Pedido ${escapeHtml(alert.order_name)}</a> ` +
+        `${escapeHtml(ALERT_TITLES[alert.type] || alert.type)} (${escapeHtml(alertDetail(alert))})</li>`);
+
+    return [
+        `<p><strong>${escapeHtml(alertSummary(alerts))}</strong></p>`,
+        `<ul>${items.join('')}</ul>`,
+        suppressed > 0 ? `<p>+${suppressed} alertas adiados pelo limite diário, enviados no próximo dia.</p>` : ''
+    ].join('\n');
+}
@@ -0,0 +1,279 @@
+// alerts/index.js
+// Alertas de pedidos por transição: compara a classificação atual com a última gravada
+// e só avisa quando o pedido muda de estado (ficou crítico, parou de movimentar)
+//
+// Canais em ALERT_CHANNELS (ex.: "webhook,email" ou "log"). Um canal é
+// { name, enabled, send(alerts, { suppressed }) }
+//
+// Controles: ALERT_DEDUP_HOURS (mesmo alerta do mesmo pedido), ALERT_QUIET_HOURS
+// (ex.: "22-7", horário de São Paulo; alertas ficam guardados até o fim do silêncio)
+// e ALERT_DAILY_CAP (máximo de alertas enviados por dia, 0 = sem limite)
+
+import { openCollection } from '../storage.js';
+import { TIMEZONE, localDateKey } from '../business-calendar.js';
+import { createWebhookChannel } from './webhook.js';
+import { createEmailChannel } from './email.js';
+import { createLogChannel } from './log.js';
+import { orderLink } from './format.js';
+
+export { ALERT_TITLES, orderLink } from './format.js';
+
+export const ALERT_TYPES = ['critical', 'stuck'];
+
+const FACTORIES = {
+    webhook: createWebhookChannel,
+    email: createEmailChannel,
+    log: createLogChannel
+};
+
+// Última classificação por pedido, envios recentes, fila do silêncio e contagem diária
+const stateCollection = () => openCollection('alert-state');
+const sentCollection = () => openCollection('alert-sent');
+const pendingCollection = () => openCollection('alert-pending');
+const dailyCollection = () => openCollection('alert-daily');
+
+let channels = null;
+
+// ============================
+// CANAIS
+// ============================
+
+export function configuredChannels() {
+    if (channels) return channels;
+
+    channels = (process.env.ALERT_CHANNELS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(name => {
+            if (!FACTORIES[name]) {
+                console.log(`⚠️ Canal de alerta desconhecido: ${name}`);
+                return null;
+            }
+            const channel = FACTORIES[name]();
+            if (!channel.enabled) {
+                console.log(`⚠️ Canal de alerta ${name} sem configuração, ignorado`);
+                return null;
+            }
+            return channel;
+        })
+        .filter(Boolean);
+
+    return channels;
+}
+
+export function alertsEnabled() {
+    return configuredChannels().length > 0;
+}
+
+// ============================
+// TRANSIÇÕES
+// ============================
+
+// Só o necessário para comparar na próxima execução
+const classification = (order) => ({
+    name: order.name,
+    urgency_level: order.urgency_level,
+    is_stuck: Boolean(order.is_stuck)
+});
+
+// Tipos de alerta que o pedido passou a ter desde a classificação anterior
+// (pedido novo que já chega crítico também conta)
+export function detectTransitions(order, previous) {
+    const types = [];
+
+    if (order.urgency_level === 'critical' && previous?.urgency_level !== 'critical') {
+        types.push('critical');
+    }
+    if (order.is_stuck && !previous?.is_stuck) {
+        types.push('stuck');
+    }
+
+    return types;
+}
+
+// Sem dados pessoais: os canais são externos
+const buildAlert = (type, order, previous, now) => ({
+    key: `${order.id}:${type}`,
+    type,
+    order_id: order.id,
+    order_name: order.name,
+    store: order.store || null,
+    urgency_level: order.urgency_level,
+    previous_urgency_level: previous?.urgency_level || null,
+    prazo_status: order.prazo_status,
+    days_since_order: order.days_since_order,
+    days_without_movement: order.days_without_movement ?? null,
+    sla_rule: order.sla_rule || null,
+    tracking_number: order.tracking_number || null,
+    link: orderLink(order),
+    detected_at: now.toISOString()
+});
+
+// Gravar a classificação atual e devolver os alertas das transições.
+// Recebe o conjunto completo de pedidos ativos: quem saiu (entregue, cancelado) é esquecido.
+// Na primeira execução só grava a base, para não disparar um alerta por pedido já crítico
+const collectTransitions = async (orders, now) => {
+    return stateCollection().update(data => {
+        const baseline = Object.keys(data).length === 0;
+        const alerts = [];
+        const current = {};
+
+        orders.forEach(order => {
+            const previous = data[order.id];
+            current[order.id] = classification(order);
+            if (baseline) return;
+
+            detectTransitions(order, previous).forEach(type => {
+                alerts.push(buildAlert(type, order, previous, now));
+            });
+        });
+
+        Object.keys(data).forEach(id => delete data[id]);
+        Object.assign(data, current);
+
+        return { baseline, alerts };
+    });
+};
+
+// ============================
+// CONTROLES
+// ============================
+
+const timeFormatter = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+const parseClock = (value) => {
+    const [hours, minutes = '0'] = value.trim().split(':');
+    const total = parseInt(hours) * 60 + parseInt(minutes);
+    return Number.isInteger(total) && total >= 0 && total < 24 * 60 ? total : null;
+};
+
+// "22-7" ou "22:30-07:00" (pode atravessar a meia-noite)
+export function isQuietHours(now = new Date(), quietHours = process.env.ALERT_QUIET_HOURS) {
+    if (!quietHours) return false;
+
+    const [start, end] = quietHours.split('-').map(parseClock);
+    if (start === null || end === null || start === undefined || end === undefined) {
+        console.log(`⚠️ ALERT_QUIET_HOURS inválido: ${quietHours}`);
+        return false;
+    }
+
+    const minutes = parseClock(timeFormatter.format(now));
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+const dedupWindowMs = () => parseFloat(process.env.ALERT_DEDUP_HOURS || '24') * 60 * 60 * 1000;
+const dailyCap = () => parseInt(process.env.ALERT_DAILY_CAP || '50');
+
+// ============================
+// PROCESSAMENTO
+// ============================
+
+// Comparar, filtrar e enviar. Chamado com os pedidos ativos já enriquecidos
+// (urgency_level, is_stuck...). Erros são registrados e não propagados
+export async function processOrderAlerts(orders, { now = new Date() } = {}) {
+    if (!alertsEnabled()) return null;
+
+    try {
+        const { baseline, alerts: detected } = await collectTransitions(orders, now);
+
+        if (baseline) {
+            console.log(`🔔 Alertas: classificação inicial gravada (${orders.length} pedidos)`);
+            return { baseline: true, detected: 0, sent: 0 };
+        }
+
+        // Alertas guardados no silêncio entram antes dos novos
+        const pending = pendingCollection();
+        const queued = (await pending.entries()).map(([, alert]) => alert);
+        const candidates = [...queued, ...detected.filter(a => !queued.some(q => q.key === a.key))];
+
+        if (candidates.length === 0) {
+            return { baseline: false, detected: 0, sent: 0 };
+        }
+
+        if (isQuietHours(now)) {
+            await pending.update(data => {
+                candidates.forEach(alert => { data[alert.key] = alert; });
+            });
+            console.log(`🌙 Horário de silêncio: ${candidates.length} alertas guardados`);
+            return { baseline: false, detected: detected.length, sent: 0, deferred: candidates.length };
+        }
+
+        // Mesmo pedido e tipo já avisados dentro da janela
+        const sent = sentCollection();
+        const fresh = [];
+        for (const alert of candidates) {
+            const last = await sent.get(alert.key);
+            if (!last || now - new Date(last) >= dedupWindowMs()) fresh.push(alert);
+        }
+
+        // Limite diário
+        const day = localDateKey(now);
+        const cap = dailyCap();
+        const daily = dailyCollection();
+        const sentToday = (await daily.get(day))?.sent || 0;
+        const allowed = cap > 0 ? fresh.slice(0, Math.max(0, cap - sentToday)) : fresh;
+        // Acima do limite: a classificação já avançou, então ficam na fila para o dia seguinte
+        const overCap = fresh.slice(allowed.length);
+        const suppressed = overCap.length;
+        // Só os que chegaram agora entram na contagem do dia (os da fila já foram contados)
+        const newlySuppressed = overCap.filter(alert => !queued.some(q => q.key === alert.key)).length;
+
+        let delivered = false;
+        if (allowed.length > 0) {
+            const results = await Promise.allSettled(configuredChannels().map(channel => channel.send(allowed, { suppressed })));
+            results.forEach((result, i) => {
+                if (result.status === 'rejected') {
+                    console.error(`❌ Canal de alerta ${configuredChannels()[i].name}:`, result.reason.message);
+                }
+            });
+            delivered = results.some(result => result.status === 'fulfilled');
+        }
+
+        // Nenhum canal entregou: os alertas ficam na fila para a próxima execução
+        if (allowed.length > 0 && !delivered) {
+            await pending.update(data => {
+                [...allowed, ...overCap].forEach(alert => { data[alert.key] = alert; });
+            });
+            return { baseline: false, detected: detected.length, sent: 0, deferred: allowed.length, suppressed };
+        }
+
+        await sent.update(data => {
+            allowed.forEach(alert => { data[alert.key] = now.toISOString(); });
+            // Registros fora da janela não servem mais
+            Object.entries(data).forEach(([key, at]) => {
+                if (now - new Date(at) >= dedupWindowMs()) delete data[key];
+            });
+        });
+        await daily.update(data => {
+            data[day] = {
+                sent: sentToday + allowed.length,
+                suppressed: (data[day]?.suppressed || 0) + newlySuppressed
+            };
+        });
+        await pending.update(data => {
+            candidates.forEach(alert => { delete data[alert.key]; });
+            overCap.forEach(alert => { data[alert.key] = alert; });
+        });
+
+        console.log(`🔔 Alertas: ${allowed.length} enviados, ${candidates.length - fresh.length} repetidos, ${suppressed} acima do limite diário (na fila)`);
+
+        return {
+            baseline: false,
+            detected: detected.length,
+            sent: allowed.length,
+            deduplicated: candidates.length - fresh.length,
+            suppressed
+        };
+    } catch (error) {
+        console.error('⚠️ Erro ao processar alertas:', error.message);
+        return null;
+    }
+}
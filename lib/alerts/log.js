@@ -0,0 +1,21 @@
+// log.js
+// Canal que só escreve no console e guarda os envios em memória (testes locais)
+
+import { alertLine } from './format.js';
+
+export function createLogChannel() {
+    const sent = [];
+
+    return {
+        name: 'log',
+        enabled: true,
+        sent,
+        async send(alerts, { suppressed = 0 } = {}) {
+            sent.push({ alerts, suppressed });
+            alerts.forEach(alert => console.log(`🔔 ${alertLine(alert)}`));
+            if (suppressed > 0) {
+                console.log(`🔕 ${suppressed} alertas adiados pelo limite diário`);
+            }
+        }
+    };
+}
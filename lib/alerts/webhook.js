@@ -0,0 +1,48 @@
+// webhook.js
+// Canal de webhook genérico (ALERT_WEBHOOK_URL)
+// ALERT_WEBHOOK_FORMAT: "slack" ({ text }), "discord" ({ content }) ou "json" (alertas completos)
+
+import { alertLine, alertSummary } from './format.js';
+
+// Limite de caracteres do "content" no Discord
+const DISCORD_MAX_LENGTH = 2000;
+
+const payloads = {
+    slack: (alerts, { suppressed }) => ({
+        text: [alertSummary(alerts, { suppressed }), ...alerts.map(a => alertLine(a, { markup: 'slack' }))].join('\n')
+    }),
+    discord: (alerts, { suppressed }) => {
+        const content = [alertSummary(alerts, { suppressed }), ...alerts.map(a => alertLine(a, { markup: 'markdown' }))].join('\n');
+        return {
+            content: content.length > DISCORD_MAX_LENGTH ? `${content.slice(0, DISCORD_MAX_LENGTH - 1)}…` : content
+        };
+    },
+    json: (alerts, { suppressed }) => ({
+        text: alertSummary(alerts, { suppressed }),
+        alerts,
+        suppressed
+    })
+};
+
+export function createWebhookChannel({
+    url = process.env.ALERT_WEBHOOK_URL,
+    format = process.env.ALERT_WEBHOOK_FORMAT || 'slack',
+    timeoutMs = 8000
+} = {}) {
+    return {
+        name: 'webhook',
+        enabled: Boolean(url) && Boolean(payloads[format]),
+        async send(alerts, { suppressed = 0 } = {}) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payloads[format](alerts, { suppressed })),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Webhook de alertas respondeu ${response.status}`);
+            }
+        }
+    };
+}
@@ -0,0 +1,259 @@
+// auth.js
+// Autenticação das rotas /api: chave estática (API_KEYS) ou sessão JWT (HS256) com papel
+// Papéis em ordem crescente: viewer (leitura sem dados pessoais), operator (PII e ações), admin
+// Também centraliza o CORS com lista de origens permitidas (ALLOWED_ORIGINS)
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Papel mínimo para ver dados pessoais (e-mail, telefone, endereço, IP)
+export const PII_ROLE = 'operator';
+
+const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+export const hasRole = (principal, role) =>
+    Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+
+export const canViewPii = (principal) => hasRole(principal, PII_ROLE);
+
+// ============================
+// CONFIGURAÇÃO
+// ============================
+
+// API_KEYS="chave1:admin,chave2:viewer" (sem papel = viewer)
+const parseApiKeys = (value) => (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const separator = entry.lastIndexOf(':');
+        const role = separator > 0 ? entry.slice(separator + 1).trim() : '';
+        if (ROLES.includes(role)) {
+            return { key: entry.slice(0, separator).trim(), role };
+        }
+        return { key: entry, role: 'viewer' };
+    });
+
+// Identificador da chave em logs e na auditoria: hash curto, nunca parte da própria chave
+const keyFingerprint = (key) => createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+const authConfig = () => ({
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    jwtSecret: process.env.AUTH_JWT_SECRET || null,
+    disabled: process.env.AUTH_DISABLED === 'true'
+});
+
+// ALLOWED_ORIGINS="https://painel.orne.com.br,http://localhost:5173" ("*" libera todas)
+const allowedOrigins = () => (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+// ============================
+// CORS
+// ============================
+
+// Responde o preflight quando for OPTIONS. Retorna true se a resposta já foi enviada
+export function applyCors(req, res, { methods = ['GET', 'OPTIONS'] } = {}) {
+    const origin = req.headers.origin;
+    const origins = allowedOrigins();
+
+    res.setHeader('Vary', 'Origin');
+
+    if (origin && (origins.includes('*') || origins.includes(origin.replace(/\/$/, '')))) {
+        res.setHeader('Access-Control-Allow-Origin', origins.includes('*') ? '*' : origin);
+        res.setHeader('Access-Control-Allow-Methods', methods.join(', '));
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Orders-Truncated');
+        res.setHeader('Access-Control-Max-Age', '600');
+    }
+
+    if (req.method === 'OPTIONS') {
+        // Origem fora da lista: o navegador bloqueia por falta do Allow-Origin
+        res.status(204).end();
+        return true;
+    }
+
+    return false;
+}
+
+// ============================
+// JWT (HS256)
+// ============================
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+const hmac = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+// Emitir uma sessão. payload: { sub, role }
+export function signSession(payload, { secret = process.env.AUTH_JWT_SECRET, ttlSeconds = DEFAULT_SESSION_TTL_SECONDS } = {}) {
+    if (!secret) throw new Error('AUTH_JWT_SECRET não configurado');
+    if (!ROLES.includes(payload.role)) throw new Error(`role deve ser um de: ${ROLES.join(', ')}`);
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ iat: now, exp: now + ttlSeconds, ...payload }));
+
+    return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+// Validar uma sessão. Retorna { claims } ou { error }
+export function verifySession(token, secret) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return { error: 'Token malformado' };
+
+    const [header, body, signature] = parts;
+    let decodedHeader;
+    let claims;
+
+    try {
+        decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'Token malformado' };
+    }
+
+    // "null", números ou listas também são JSON válido
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(decodedHeader) || !isObject(claims)) return { error: 'Token malformado' };
+
+    // Só HS256: recusar "none" e algoritmos assimétricos
+    if (decodedHeader.alg !== 'HS256') return { error: 'Algoritmo do token não suportado' };
+    if (!safeEqual(signature, hmac(`${header}.${body}`, secret))) return { error: 'Assinatura do token inválida' };
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp <= now) return { error: 'Sessão expirada' };
+    if (typeof claims.nbf === 'number' && claims.nbf > now) return { error: 'Sessão ainda não é válida' };
+    if (!ROLES.includes(claims.role)) return { error: 'Papel da sessão inválido' };
+
+    return { claims };
+}
+
+// ============================
+// AUTENTICAÇÃO
+// ============================
+
+// Identificar quem chama. Retorna { principal } ou { status, error, message }
+export function authenticate(req) {
+    const config = authConfig();
+
+    if (config.disabled) {
+        return { principal: { type: 'disabled', id: 'anonymous', role: 'admin' } };
+    }
+
+    if (config.apiKeys.length === 0 && !config.jwtSecret) {
+        console.error('❌ Autenticação não configurada (API_KEYS ou AUTH_JWT_SECRET)');
+        return {
+            status: 500,
+            error: 'Autenticação não configurada no servidor',
+            message: 'Defina API_KEYS ou AUTH_JWT_SECRET (ou AUTH_DISABLED=true em desenvolvimento)'
+        };
+    }
+
+    const authorization = req.headers.authorization || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization)?.[1]?.trim();
+    const apiKey = req.headers['x-api-key'] || bearer;
+
+    if (!apiKey) {
+        return {
+            status: 401,
+            error: 'Não autenticado',
+            message: 'Envie Authorization: Bearer <token> ou X-API-Key'
+        };
+    }
+
+    const matchedKey = config.apiKeys.find(entry => safeEqual(entry.key, apiKey));
+    if (matchedKey) {
+        return {
+            principal: {
+                type: 'api_key',
+                id: `key:${keyFingerprint(matchedKey.key)}`,
+                role: matchedKey.role
+            }
+        };
+    }
+
+    if (bearer && config.jwtSecret && bearer.split('.').length === 3) {
+        const { claims, error } = verifySession(bearer, config.jwtSecret);
+        if (error) {
+            return { status: 401, error: 'Não autenticado', message: error };
+        }
+        return {
+            principal: {
+                type: 'session',
+                id: claims.sub || 'session',
+                role: claims.role,
+                claims
+            }
+        };
+    }
+
+    return { status: 401, error: 'Não autenticado', message: 'Credencial inválida' };
+}
+
+// Autenticar e exigir um papel mínimo. Envia 401/403 e retorna null se negado
+export function requireRole(req, res, role = 'viewer') {
+    const { principal, status, error, message } = authenticate(req);
+
+    if (!principal) {
+        if (status === 401) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+        }
+        res.status(status).json({ success: false, error, message });
+        return null;
+    }
+
+    if (!hasRole(principal, role)) {
+        console.log(`⛔ ${principal.id} (${principal.role}) sem permissão para ${req.method} ${req.url || ''}`);
+        res.status(403).json({
+            success: false,
+            error: 'Acesso negado',
+            message: `Requer papel ${role} ou superior (atual: ${principal.role})`
+        });
+        return null;
+    }
+
+    return principal;
+}
+
+// ============================
+// CRON
+// ============================
+
+// Rotas de cron: CRON_SECRET no header Authorization: Bearer (enviado pela Vercel)
+// ou X-Cron-Secret. Envia 401/500 e retorna false se negado
+export function requireCronSecret(req, res) {
+    const secret = process.env.CRON_SECRET;
+
+    if (!secret) {
+        console.error('❌ CRON_SECRET não configurado');
+        res.status(500).json({
+            success: false,
+            error: 'Cron não configurado no servidor',
+            message: 'Defina CRON_SECRET'
+        });
+        return false;
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]?.trim();
+    const provided = req.headers['x-cron-secret'] || bearer;
+
+    if (!provided || !safeEqual(provided, secret)) {
+        console.log(`⛔ Chamada de cron sem segredo válido: ${req.url || ''}`);
+        res.status(401).json({
+            success: false,
+            error: 'Não autenticado',
+            message: 'Segredo do cron inválido'
+        });
+        return false;
+    }
+
+    return true;
+}
@@ -0,0 +1,165 @@
+// business-calendar.js
+// Calendário de dias úteis no fuso America/Sao_Paulo
+// Feriados nacionais, móveis (calculados a partir da Páscoa) e estaduais opcionais
+
+export const TIMEZONE = 'America/Sao_Paulo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feriados nacionais de data fixa (MM-DD)
+const NATIONAL_HOLIDAYS = {
+    '01-01': 'Confraternização Universal',
+    '04-21': 'Tiradentes',
+    '05-01': 'Dia do Trabalho',
+    '09-07': 'Independência do Brasil',
+    '10-12': 'Nossa Senhora Aparecida',
+    '11-02': 'Finados',
+    '11-15': 'Proclamação da República',
+    '11-20': 'Dia Nacional de Zumbi e da Consciência Negra',
+    '12-25': 'Natal'
+};
+
+// Feriados móveis: dias de distância em relação ao domingo de Páscoa
+const MOVABLE_HOLIDAYS = [
+    { offset: -48, name: 'Carnaval (segunda-feira)' },
+    { offset: -47, name: 'Carnaval (terça-feira)' },
+    { offset: -2, name: 'Sexta-feira Santa' },
+    { offset: 60, name: 'Corpus Christi' }
+];
+
+// Feriados estaduais de data fixa (MM-DD), por UF
+const STATE_HOLIDAYS = {
+    AC: { '01-23': 'Dia do Evangélico', '06-15': 'Aniversário do Acre', '09-05': 'Dia da Amazônia', '11-17': 'Tratado de Petrópolis' },
+    AL: { '06-24': 'São João', '06-29': 'São Pedro', '09-16': 'Emancipação Política', '11-30': 'Dia do Evangélico' },
+    AM: { '09-05': 'Elevação do Amazonas à Categoria de Província' },
+    AP: { '03-19': 'Dia de São José', '09-13': 'Criação do Território do Amapá' },
+    BA: { '07-02': 'Independência da Bahia' },
+    CE: { '03-25': 'Data Magna do Ceará' },
+    DF: { '11-30': 'Dia do Evangélico' },
+    MA: { '07-28': 'Adesão do Maranhão à Independência' },
+    MS: { '10-11': 'Criação do Estado' },
+    PA: { '08-15': 'Adesão do Pará à Independência' },
+    PB: { '08-05': 'Fundação do Estado' },
+    PE: { '03-06': 'Revolução Pernambucana' },
+    PI: { '10-19': 'Dia do Piauí' },
+    PR: { '12-19': 'Emancipação Política do Paraná' },
+    RJ: { '04-23': 'Dia de São Jorge' },
+    RN: { '10-03': 'Mártires de Cunhaú e Uruaçu' },
+    RO: { '01-04': 'Criação do Estado', '06-18': 'Dia do Evangélico' },
+    RR: { '10-05': 'Criação do Estado' },
+    RS: { '09-20': 'Revolução Farroupilha' },
+    SE: { '07-08': 'Emancipação Política de Sergipe' },
+    SP: { '07-09': 'Revolução Constitucionalista' },
+    TO: { '09-08': 'Nossa Senhora da Natividade', '10-05': 'Criação do Estado' }
+};
+
+const holidayCache = new Map();
+
+const dateKeyFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+});
+
+// Data local (YYYY-MM-DD) de um instante no fuso de São Paulo
+export function localDateKey(date = new Date()) {
+    return dateKeyFormatter.format(new Date(date));
+}
+
+const offsetFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    timeZoneName: 'longOffset'
+});
+
+// Diferença do fuso de São Paulo para o UTC, em minutos (ex.: -180)
+export function timezoneOffsetMinutes(date = new Date()) {
+    const part = offsetFormatter.formatToParts(new Date(date)).find(p => p.type === 'timeZoneName');
+    const match = /GMT([+-])(\d{2}):(\d{2})/.exec(part ? part.value : '');
+    if (!match) return 0;
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+const keyToUtc = (key) => new Date(`${key}T00:00:00Z`);
+const utcToKey = (date) => date.toISOString().slice(0, 10);
+
+// Somar dias a uma data local (YYYY-MM-DD)
+export const addDays = (key, days) => utcToKey(new Date(keyToUtc(key).getTime() + days * DAY_MS));
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+export function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Feriados de um ano: Map YYYY-MM-DD -> nome
+export function getHolidays(year, { state = null } = {}) {
+    const uf = state ? String(state).toUpperCase() : null;
+    const cacheKey = `${year}:${uf || ''}`;
+
+    if (holidayCache.has(cacheKey)) {
+        return holidayCache.get(cacheKey);
+    }
+
+    const holidays = new Map();
+    const addFixed = (list) => Object.entries(list).forEach(([monthDay, name]) => {
+        holidays.set(`${year}-${monthDay}`, name);
+    });
+
+    addFixed(NATIONAL_HOLIDAYS);
+
+    const easter = easterSunday(year);
+    MOVABLE_HOLIDAYS.forEach(({ offset, name }) => holidays.set(addDays(easter, offset), name));
+
+    if (uf && STATE_HOLIDAYS[uf]) {
+        addFixed(STATE_HOLIDAYS[uf]);
+    }
+
+    holidayCache.set(cacheKey, holidays);
+    return holidays;
+}
+
+// Nome do feriado na data (ou null)
+export function holidayName(key, options = {}) {
+    return getHolidays(parseInt(key.slice(0, 4)), options).get(key) || null;
+}
+
+export function isBusinessDay(key, options = {}) {
+    const weekday = keyToUtc(key).getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    return !holidayName(key, options);
+}
+
+// Dias corridos desde o pedido (períodos completos de 24h, como antes)
+export function calendarDaysSince(from, to = new Date()) {
+    return Math.max(0, Math.floor((new Date(to) - new Date(from)) / DAY_MS));
+}
+
+// Dias úteis após a data local do pedido até hoje (inclusive), no fuso de São Paulo
+// Pedido feito na sexta e consultado na segunda = 1 dia útil
+export function businessDaysSince(from, to = new Date(), options = {}) {
+    const endKey = localDateKey(to);
+    let key = localDateKey(from);
+    let count = 0;
+
+    while (key < endKey) {
+        key = addDays(key, 1);
+        if (isBusinessDay(key, options)) count++;
+    }
+
+    return count;
+}
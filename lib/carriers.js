@@ -0,0 +1,164 @@
+// carriers.js
+// Identificação de transportadoras e validação de códigos de rastreio
+// Pelo código: Correios (S10 com dígito verificador), Cainiao/AliExpress e Jadlog (14 dígitos)
+// Loggi e Total Express não têm formato público fixo: só pelo tracking_company da Shopify
+
+export const CARRIERS = {
+    correios: {
+        name: 'Correios',
+        url: (code) => `https://rastreamento.correios.com.br/app/index.php?objeto=${code}`
+    },
+    jadlog: {
+        name: 'Jadlog',
+        url: (code) => `https://www.jadlog.com.br/jadlog/tracking?cte=${code}`
+    },
+    loggi: {
+        name: 'Loggi',
+        url: (code) => `https://www.loggi.com/rastreador/${code}`
+    },
+    total_express: {
+        name: 'Total Express',
+        url: (code) => `https://tracking.totalexpress.com.br/tracking/${code}`
+    },
+    cainiao: {
+        name: 'Cainiao',
+        url: (code) => `https://global.cainiao.com/newDetail.htm?mailNoList=${code}`
+    }
+};
+
+// Padrões reconhecidos, na ordem em que são testados
+const PATTERNS = [
+    // Padrão UPU S10: 2 letras + 8 dígitos + dígito verificador + país (AA123456785BR)
+    { carrier: 'correios', regex: /^[A-Z]{2}\d{9}[A-Z]{2}$/, validate: (code) => isValidS10(code) },
+    // Cainiao / AliExpress Standard Shipping
+    { carrier: 'cainiao', regex: /^LP\d{12,18}$/ },
+    // YunExpress (entregue via AliExpress / Cainiao)
+    { carrier: 'cainiao', regex: /^YT\d{16}$/ },
+    // Jadlog: número do CT-e/pedido com 14 dígitos (só sem outra transportadora indicada)
+    { carrier: 'jadlog', regex: /^\d{14}$/, ambiguous: true }
+];
+
+// Formatos aceitos quando a transportadora vem do tracking_company da Shopify
+const HINT_FORMATS = {
+    jadlog: /^\d{8,14}$/,
+    loggi: /^[A-Z0-9]{6,20}$/,
+    total_express: /^[A-Z0-9]{6,20}$/,
+    cainiao: /^[A-Z0-9]{10,24}$/,
+    correios: /^[A-Z]{2}\d{9}[A-Z]{2}$/
+};
+
+const HINTS = [
+    { carrier: 'correios', regex: /correios|sedex|\bpac\b/i },
+    { carrier: 'jadlog', regex: /jadlog/i },
+    { carrier: 'loggi', regex: /loggi/i },
+    { carrier: 'total_express', regex: /total\s*express/i },
+    { carrier: 'cainiao', regex: /cainiao|aliexpress|yunexpress|yun express/i }
+];
+
+// Valores que aparecem no lugar de um código real
+const PLACEHOLDERS = /^(N\/?A|NA|NULL|NONE|UNDEFINED|PENDENTE|AGUARDANDO|SEMRASTREIO|SEMCODIGO|TESTE|TEST|X+|0+|1+|123456789?)$/;
+
+// Remover espaços, pontos e traços e padronizar em maiúsculas
+export function normalizeTrackingCode(raw) {
+    if (raw === undefined || raw === null) return '';
+    return String(raw).toUpperCase().replace(/[\s.\-_/]/g, '');
+}
+
+// Dígito verificador S10: pesos 8 6 4 2 3 5 9 7 sobre os 8 primeiros dígitos
+export function isValidS10(code) {
+    const match = /^[A-Z]{2}(\d{8})(\d)[A-Z]{2}$/.exec(code);
+    if (!match) return false;
+
+    const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+    const sum = match[1].split('').reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+    const rest = sum % 11;
+    const expected = rest === 0 ? 5 : rest === 1 ? 0 : 11 - rest;
+
+    return Number(match[2]) === expected;
+}
+
+// Transportadora sugerida pelo tracking_company da Shopify
+export function carrierFromCompany(company) {
+    if (!company) return null;
+    const hint = HINTS.find(h => h.regex.test(company));
+    return hint ? hint.carrier : null;
+}
+
+export function carrierName(carrier) {
+    return CARRIERS[carrier] ? CARRIERS[carrier].name : null;
+}
+
+// Analisar um código: { code, carrier, valid, url, reason }
+// Códigos que não seguem nenhum padrão conhecido continuam válidos (carrier null),
+// mas placeholders e S10 com dígito verificador errado não contam como rastreio
+export function parseTrackingCode(raw, { company = null, url = null } = {}) {
+    const code = normalizeTrackingCode(raw);
+    const hinted = carrierFromCompany(company);
+    const result = (carrier, valid, reason = null) => ({
+        code,
+        carrier,
+        valid,
+        url: valid && CARRIERS[carrier] ? CARRIERS[carrier].url(code) : url || null,
+        reason
+    });
+
+    if (!code || code.length < 6 || PLACEHOLDERS.test(code) || /^(.)\1+$/.test(code)) {
+        return result(null, false, 'placeholder');
+    }
+
+    const pattern = PATTERNS.find(p => p.regex.test(code) && !(p.ambiguous && hinted && hinted !== p.carrier));
+    if (pattern) {
+        if (pattern.validate && !pattern.validate(code)) {
+            return result(pattern.carrier, false, 'digito_verificador');
+        }
+        return result(pattern.carrier, true);
+    }
+
+    if (hinted) {
+        return HINT_FORMATS[hinted].test(code)
+            ? result(hinted, true)
+            : result(hinted, false, 'formato_invalido');
+    }
+
+    const plausible = /^[A-Z0-9]+$/.test(code);
+    return result(null, plausible, plausible ? null : 'formato_invalido');
+}
+
+// Todos os códigos de um fulfillment (tracking_number e tracking_numbers), já analisados
+export function parseFulfillmentTracking(fulfillment) {
+    const codes = [];
+    const urls = fulfillment.tracking_urls || [];
+
+    if (fulfillment.tracking_number) {
+        codes.push({ raw: fulfillment.tracking_number, url: fulfillment.tracking_url });
+    }
+    (fulfillment.tracking_numbers || []).forEach((tn, idx) => {
+        if (tn) codes.push({ raw: tn, url: urls[idx] });
+    });
+
+    const seen = new Set();
+    return codes
+        .map(({ raw, url }) => parseTrackingCode(raw, { company: fulfillment.tracking_company, url }))
+        .filter(tracking => {
+            if (seen.has(tracking.code)) return false;
+            seen.add(tracking.code);
+            return true;
+        });
+}
+
+// Códigos únicos do pedido (campo tracking_numbers e fulfillments)
+export function collectOrderTracking(order) {
+    const seen = new Map();
+    const add = (tracking) => {
+        // Mesmo código repetido: fica a versão válida, se houver
+        const existing = seen.get(tracking.code);
+        if (!existing || (!existing.valid && tracking.valid)) {
+            seen.set(tracking.code, tracking);
+        }
+    };
+
+    (order.tracking_numbers || []).forEach(tn => add(parseTrackingCode(tn)));
+    (order.fulfillments || []).forEach(f => parseFulfillmentTracking(f).forEach(add));
+
+    return Array.from(seen.values()).filter(t => t.code);
+}
@@ -0,0 +1,213 @@
+// delivery-analytics.js
+// Prazos reais de pedidos entregues: pedido -> envio -> entrega
+// Percentis (p50/p90/p95) e histogramas por transportadora, frete, fornecedor, SKU e UF
+
+import { businessDaysSince } from './business-calendar.js';
+import { collectOrderTracking } from './carriers.js';
+import { destinationOf } from './regions.js';
+
+export const ANALYTICS_GROUPS = ['carrier', 'shipping_line', 'vendor', 'sku', 'state'];
+
+// Faixas do histograma em dias (a última é aberta)
+export const HISTOGRAM_BINS = [3, 7, 10, 15, 21, 30, 45, 60];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================
+// DATAS DO PEDIDO
+// ============================
+
+const activeFulfillments = (order) => (order.fulfillments || []).filter(f => f.status !== 'cancelled');
+
+// Primeiro envio (criação do fulfillment)
+export function fulfilledAt(order) {
+    const dates = activeFulfillments(order)
+        .map(f => f.created_at)
+        .filter(Boolean)
+        .sort();
+    return dates[0] || null;
+}
+
+// Data de entrega conhecida: checkpoint da transportadora, deliveredAt (GraphQL) ou
+// atualização do fulfillment marcado como entregue. Tags/nota não têm data e ficam de fora
+export function deliveredAt(order, checkpoint = null) {
+    if (checkpoint && checkpoint.status === 'delivered' && checkpoint.date) {
+        return { date: checkpoint.date, source: 'checkpoint' };
+    }
+
+    const delivered = activeFulfillments(order)
+        .filter(f => f.shipment_status === 'delivered' || f.status === 'delivered');
+    if (delivered.length === 0) return null;
+
+    const withDate = delivered.find(f => f.delivered_at);
+    if (withDate) return { date: withDate.delivered_at, source: 'fulfillment' };
+
+    const last = delivered
+        .map(f => f.updated_at || f.created_at)
+        .filter(Boolean)
+        .sort()
+        .pop();
+    return last ? { date: last, source: 'fulfillment_updated_at' } : null;
+}
+
+// ============================
+// ESTATÍSTICAS
+// ============================
+
+// Percentil com interpolação linear (valores já ordenados)
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    return Math.round(value * 10) / 10;
+}
+
+export function summarize(values) {
+    const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return { count: 0, mean: null, min: null, p50: null, p90: null, p95: null, max: null };
+    }
+
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    return {
+        count: sorted.length,
+        mean: Math.round(mean * 10) / 10,
+        min: sorted[0],
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+export function histogram(values, bins = HISTOGRAM_BINS) {
+    const buckets = bins.map((upper, i) => ({
+        label: `${i === 0 ? 0 : bins[i - 1] + 1}-${upper}`,
+        min: i === 0 ? 0 : bins[i - 1] + 1,
+        max: upper,
+        count: 0
+    }));
+    buckets.push({ label: `${bins[bins.length - 1] + 1}+`, min: bins[bins.length - 1] + 1, max: null, count: 0 });
+
+    // Dias completos: 3,5 dias cai na faixa 0-3
+    values.forEach(value => {
+        const days = Math.floor(value);
+        const bucket = buckets.find(b => b.max === null || days <= b.max);
+        bucket.count++;
+    });
+
+    return buckets;
+}
+
+// ============================
+// AGRUPAMENTO
+// ============================
+
+const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+
+// Chaves de cada agrupamento (um pedido pode entrar em mais de um fornecedor/SKU)
+const GROUP_KEYS = {
+    carrier: (order) => {
+        const carriers = unique(collectOrderTracking(order).filter(t => t.valid).map(t => t.carrier));
+        return carriers.length > 0 ? carriers : ['desconhecida'];
+    },
+    shipping_line: (order) => {
+        const lines = unique((order.shipping_lines || []).map(line => line.title));
+        return lines.length > 0 ? lines : ['sem_frete'];
+    },
+    vendor: (order) => {
+        const vendors = unique((order.line_items || []).map(item => item.vendor));
+        return vendors.length > 0 ? vendors : ['sem_fornecedor'];
+    },
+    sku: (order) => {
+        const skus = unique((order.line_items || []).map(item => item.sku));
+        return skus.length > 0 ? skus : ['sem_sku'];
+    },
+    // Mesma UF do stats.by_region: province_code ou, sem ele, a UF do CEP
+    state: (order) => [destinationOf(order).state || 'sem_uf']
+};
+
+// Diferença em dias corridos (fracionário) ou dias úteis
+export const daysBetween = (from, to, { dayType, state }) => {
+    if (!from || !to) return null;
+    if (dayType === 'business') return businessDaysSince(from, to, { state });
+    return Math.max(0, Math.round(((new Date(to) - new Date(from)) / DAY_MS) * 10) / 10);
+};
+
+// Prazos de um pedido entregue (ou null se não houver data de entrega)
+export function orderLeadTimes(order, { checkpoint = null, dayType = 'calendar', state = null } = {}) {
+    const delivery = deliveredAt(order, checkpoint);
+    if (!delivery) return null;
+
+    const shipped = fulfilledAt(order);
+    const options = { dayType, state };
+
+    return {
+        order_id: order.id,
+        name: order.name,
+        created_at: order.created_at,
+        fulfilled_at: shipped,
+        delivered_at: delivery.date,
+        delivered_source: delivery.source,
+        // Pedido -> envio, envio -> entrega e pedido -> entrega
+        to_fulfillment: daysBetween(order.created_at, shipped, options),
+        in_transit: daysBetween(shipped, delivery.date, options),
+        total: daysBetween(order.created_at, delivery.date, options)
+    };
+}
+
+const leadTimeStats = (entries) => ({
+    count: entries.length,
+    to_fulfillment: summarize(entries.map(e => e.to_fulfillment)),
+    in_transit: summarize(entries.map(e => e.in_transit)),
+    total: summarize(entries.map(e => e.total)),
+    histogram: histogram(entries.map(e => e.total).filter(v => v !== null))
+});
+
+// Analisar pedidos entregues. checkpoints: Map id do pedido -> último checkpoint
+export function analyzeDeliveries(orders, {
+    checkpoints = new Map(),
+    groupBy = ANALYTICS_GROUPS,
+    dayType = 'calendar',
+    state = null,
+    minGroupSize = 1,
+    top = 20
+} = {}) {
+    const entries = [];
+
+    orders.forEach(order => {
+        const leadTimes = orderLeadTimes(order, { checkpoint: checkpoints.get(order.id), dayType, state });
+        if (leadTimes) entries.push({ order, leadTimes });
+    });
+
+    const groups = {};
+    groupBy.forEach(group => {
+        const byKey = new Map();
+        entries.forEach(({ order, leadTimes }) => {
+            GROUP_KEYS[group](order).forEach(key => {
+                if (!byKey.has(key)) byKey.set(key, []);
+                byKey.get(key).push(leadTimes);
+            });
+        });
+
+        groups[group] = Array.from(byKey.entries())
+            .filter(([, list]) => list.length >= minGroupSize)
+            .map(([key, list]) => ({ key, ...leadTimeStats(list) }))
+            .sort((a, b) => b.count - a.count || (b.total.p90 ?? 0) - (a.total.p90 ?? 0))
+            .slice(0, top);
+    });
+
+    const sources = entries.reduce((acc, { leadTimes }) => {
+        acc[leadTimes.delivered_source] = (acc[leadTimes.delivered_source] || 0) + 1;
+        return acc;
+    }, {});
+
+    return {
+        delivered_orders: entries.length,
+        delivered_sources: sources,
+        overall: leadTimeStats(entries.map(e => e.leadTimes)),
+        groups
+    };
+}
@@ -0,0 +1,277 @@
+// digest.js
+// Resumo diário dos pedidos (api/cron/daily-digest.js): novos, enviados ontem,
+// que ficaram atrasados/críticos desde o último resumo, aguardando rastreio e
+// fornecedores com mais atrasos. Sai em Markdown e HTML, por e-mail, webhook ou log
+
+import { openCollection } from './storage.js';
+import { localDateKey, addDays } from './business-calendar.js';
+import { sendMail } from './smtp.js';
+import { orderLink, escapeHtml } from './alerts/format.js';
+
+export const DIGEST_CHANNELS = ['email', 'webhook', 'log'];
+
+// Classificação de cada pedido ativo no último resumo
+const stateCollection = () => openCollection('digest-state');
+
+const DISCORD_MAX_LENGTH = 2000;
+
+// ============================
+// DADOS
+// ============================
+
+const activeFulfillments = (order) => (order.fulfillments || []).filter(f => f.status !== 'cancelled');
+
+// Cartão do pedido no resumo (sem dados pessoais: o resumo sai para canais externos)
+const orderCard = (order) => ({
+    id: order.id,
+    name: order.name,
+    created_at: order.created_at,
+    total_price: order.total_price,
+    days_since_order: order.days_since_order ?? null,
+    urgency_level: order.urgency_level ?? null,
+    prazo_status: order.prazo_status ?? null,
+    link: orderLink(order)
+});
+
+const sumPrices = (orders) => Math.round(orders.reduce((sum, o) => sum + parseFloat(o.total_price || 0), 0) * 100) / 100;
+
+// Fornecedores com mais pedidos ativos atrasados
+const vendorRanking = (orders, top) => {
+    const byVendor = new Map();
+
+    orders.forEach(order => {
+        const vendors = new Set((order.line_items || []).map(item => item.vendor).filter(Boolean));
+        vendors.forEach(vendor => {
+            if (!byVendor.has(vendor)) byVendor.set(vendor, { vendor, active: 0, late: 0, critical: 0 });
+            const entry = byVendor.get(vendor);
+            entry.active++;
+            if (order.is_late) entry.late++;
+            if (order.urgency_level === 'critical') entry.critical++;
+        });
+    });
+
+    return Array.from(byVendor.values())
+        .filter(entry => entry.late > 0)
+        .map(entry => ({ ...entry, late_percentage: Math.round((entry.late / entry.active) * 1000) / 10 }))
+        .sort((a, b) => b.late - a.late || b.critical - a.critical)
+        .slice(0, top);
+};
+
+// Montar o resumo. validOrders: todos os pedidos válidos (inclusive entregues);
+// enrichedOrders: ativos classificados; previous: classificação do último resumo (ou null)
+export function buildDailyDigest({ validOrders, enrichedOrders, previous = null, now = new Date(), trackingWaitDays = 7, topVendors = 5, truncated = false }) {
+    const date = localDateKey(now);
+    const yesterday = addDays(date, -1);
+
+    const newOrders = validOrders.filter(order => localDateKey(order.created_at) === yesterday);
+    const shippedYesterday = validOrders.filter(order =>
+        activeFulfillments(order).some(f => f.created_at && localDateKey(f.created_at) === yesterday)
+    );
+
+    // Transições desde o último resumo (sem resumo anterior não há base de comparação)
+    const becameLate = previous
+        ? enrichedOrders.filter(order => order.is_late && !previous[order.id]?.is_late)
+        : [];
+    const becameCritical = previous
+        ? enrichedOrders.filter(order => order.urgency_level === 'critical' && previous[order.id]?.urgency_level !== 'critical')
+        : [];
+
+    const awaitingTracking = enrichedOrders
+        .filter(order => !order.has_tracking && order.days_since_order > trackingWaitDays)
+        .sort((a, b) => b.days_since_order - a.days_since_order);
+
+    return {
+        date,
+        reference_date: yesterday,
+        has_baseline: Boolean(previous),
+        truncated,
+        tracking_wait_days: trackingWaitDays,
+        totals: {
+            active: enrichedOrders.length,
+            late: enrichedOrders.filter(o => o.is_late).length,
+            critical: enrichedOrders.filter(o => o.urgency_level === 'critical').length
+        },
+        new_orders: { count: newOrders.length, total_value: sumPrices(newOrders), orders: newOrders.map(orderCard) },
+        shipped_yesterday: { count: shippedYesterday.length, orders: shippedYesterday.map(orderCard) },
+        became_late: { count: becameLate.length, orders: becameLate.map(orderCard) },
+        became_critical: { count: becameCritical.length, orders: becameCritical.map(orderCard) },
+        awaiting_tracking: { count: awaitingTracking.length, orders: awaitingTracking.map(orderCard) },
+        top_vendors: vendorRanking(enrichedOrders, topVendors)
+    };
+}
+
+export async function loadDigestState() {
+    const entries = await stateCollection().entries();
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+// Gravar a classificação atual como base do próximo resumo
+export async function saveDigestState(enrichedOrders) {
+    await stateCollection().update(data => {
+        Object.keys(data).forEach(id => delete data[id]);
+        enrichedOrders.forEach(order => {
+            data[order.id] = { is_late: Boolean(order.is_late), urgency_level: order.urgency_level };
+        });
+    });
+}
+
+// ============================
+// FORMATOS
+// ============================
+
+const formatDate = (key) => key.split('-').reverse().join('/');
+const formatMoney = (value) => value.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+const SECTIONS = [
+    { key: 'became_critical', title: 'Ficaram críticos' },
+    { key: 'became_late', title: 'Ficaram atrasados' },
+    { key: 'awaiting_tracking', title: (digest) => `Aguardando rastreio há mais de ${digest.tracking_wait_days} dias` },
+    { key: 'shipped_yesterday', title: 'Enviados ontem' },
+    { key: 'new_orders', title: 'Pedidos novos' }
+];
+
+const sectionTitle = (section, digest) => typeof section.title === 'function' ? section.title(digest) : section.title;
+
+const cardDetail = (card) => [
+    card.days_since_order !== null ? `${card.days_since_order} dias` : null,
+    card.prazo_status
+].filter(Boolean).join(', ');
+
+export function digestSubject(digest) {
+    return `Resumo de pedidos de ${formatDate(digest.reference_date)}: ${digest.became_critical.count} críticos novos, ${digest.totals.late} atrasados`;
+}
+
+export function digestMarkdown(digest, { maxItems = 20 } = {}) {
+    const lines = [
+        `# Resumo de pedidos de ${formatDate(digest.reference_date)}`,
+        '',
+        `**${digest.totals.active}** pedidos ativos, **${digest.totals.late}** atrasados, **${digest.totals.critical}** críticos. ` +
+            `Ontem: **${digest.new_orders.count}** pedidos novos (${formatMoney(digest.new_orders.total_value)}) e **${digest.shipped_yesterday.count}** enviados.`
+    ];
+
+    if (digest.truncated) {
+        lines.push('', '_Busca incompleta (limite de páginas ou loja com erro): números parciais._');
+    }
+    if (!digest.has_baseline) {
+        lines.push('', '_Primeiro resumo: atrasados e críticos novos aparecem a partir do próximo._');
+    }
+
+    SECTIONS.forEach(section => {
+        const { count, orders } = digest[section.key];
+        lines.push('', `## ${sectionTitle(section, digest)} (${count})`);
+        if (count === 0) {
+            lines.push('', 'Nenhum.');
+            return;
+        }
+        lines.push('');
+        orders.slice(0, maxItems).forEach(card => {
+            const detail = cardDetail(card);
+            lines.push(`- [${card.name}](${card.link})${detail ? ` (${detail})` : ''}`);
+        });
+        if (count > maxItems) lines.push(`- … e mais ${count - maxItems}`);
+    });
+
+    lines.push('', '## Fornecedores com mais atrasos', '');
+    if (digest.top_vendors.length === 0) {
+        lines.push('Nenhum.');
+    } else {
+        lines.push('| Fornecedor | Ativos | Atrasados | Críticos | % atraso |', '| --- | ---: | ---: | ---: | ---: |');
+        digest.top_vendors.forEach(v => lines.push(`| ${v.vendor} | ${v.active} | ${v.late} | ${v.critical} | ${v.late_percentage}% |`));
+    }
+
+    return lines.join('\n');
+}
+
+export function digestHtml(digest, { maxItems = 20 } = {}) {
+    const parts = [
+        `<h1>Resumo de pedidos de ${formatDate(digest.reference_date)}</h1>`,
+        `<p><strong>${digest.totals.active}</strong> pedidos ativos, <strong>${digest.totals.late}</strong> atrasados, ` +
+            `<strong>${digest.totals.critical}</strong> críticos. Ontem: <strong>${digest.new_orders.count}</strong> pedidos novos ` +
+            `(${escapeHtml(formatMoney(digest.new_orders.total_value))}) e <strong>${digest.shipped_yesterday.count}</strong> enviados.</p>`
+    ];
+
+    if (digest.truncated) {
+        parts.push('<p><em>Busca incompleta (limite de páginas ou loja com erro): números parciais.</em></p>');
+    }
+    if (!digest.has_baseline) {
+        parts.push('<p><em>Primeiro resumo: atrasados e críticos novos aparecem a partir do próximo.</em></p>');
+    }
+
+    SECTIONS.forEach(section => {
+        const { count, orders } = digest[section.key];
+        parts.push(`<h2>${escapeHtml(sectionTitle(section, digest))} (${count})</h2>`);
+        if (count === 0) {
+            parts.push('<p>Nenhum.</p>');
+            return;
+        }
+        const items = orders.slice(0, maxItems).map(card => {
+            const detail = cardDetail(card);
+            return `<li><a href="${escapeHtml(card.link)}">${escapeHtml(card.name)}</a>${detail ? ` (${escapeHtml(detail)})` : ''}</li>`;
+        });
+        if (count > maxItems) items.push(`<li>… e mais ${count - maxItems}</li>`);
+        parts.push(`<ul>${items.join('')}</ul>`);
+    });
+
+    parts.push('<h2>Fornecedores com mais atrasos</h2>');
+    if (digest.top_vendors.length === 0) {
+        parts.push('<p>Nenhum.</p>');
+    } else {
+        const rows = digest.top_vendors.map(v => `<tr><td>${escapeHtml(v.vendor)}</td><td>${v.active}</td>` +
+            `<td>${v.late}</td><td>${v.critical}</td><td>${v.late_percentage}%</td></tr>`);
+        parts.push('<table border="1" cellpadding="4" cellspacing="0">' +
+            '<tr><th>Fornecedor</th><th>Ativos</th><th>Atrasados</th><th>Críticos</th><th>% atraso</th></tr>' +
+            `${rows.join('')}</table>`);
+    }
+
+    return parts.join('\n');
+}
+
+// ============================
+// ENVIO
+// ============================
+
+const webhookPayload = (format, digest, markdown) => {
+    if (format === 'discord') {
+        return { content: markdown.length > DISCORD_MAX_LENGTH ? `${markdown.slice(0, DISCORD_MAX_LENGTH - 1)}…` : markdown };
+    }
+    if (format === 'json') {
+        return { text: digestSubject(digest), digest };
+    }
+    return { text: markdown };
+};
+
+// Enviar pelo canal de DIGEST_CHANNEL (padrão: log)
+export async function deliverDigest(digest, { channel = process.env.DIGEST_CHANNEL || 'log' } = {}) {
+    const markdown = digestMarkdown(digest);
+
+    if (channel === 'email') {
+        const to = process.env.DIGEST_EMAIL_TO || process.env.ALERT_EMAIL_TO;
+        const from = process.env.DIGEST_EMAIL_FROM || process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER;
+        await sendMail({ from, to, subject: digestSubject(digest), text: markdown, html: digestHtml(digest) });
+        return { channel, to };
+    }
+
+    if (channel === 'webhook') {
+        const url = process.env.DIGEST_WEBHOOK_URL || process.env.ALERT_WEBHOOK_URL;
+        const format = process.env.DIGEST_WEBHOOK_FORMAT || process.env.ALERT_WEBHOOK_FORMAT || 'slack';
+        if (!url) throw new Error('DIGEST_WEBHOOK_URL não configurado');
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(webhookPayload(format, digest, markdown)),
+            signal: AbortSignal.timeout(8000)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook do resumo respondeu ${response.status}`);
+        }
+        return { channel, format };
+    }
+
+    if (channel === 'log') {
+        console.log(`📰 ${digestSubject(digest)}\n${markdown}`);
+        return { channel };
+    }
+
+    throw new Error(`DIGEST_CHANNEL deve ser um de: ${DIGEST_CHANNELS.join(', ')}`);
+}
@@ -0,0 +1,59 @@
+// documents.js
+// CPF e CNPJ: validação pelos dígitos verificadores e busca nos campos do pedido
+// A loja grava o CPF em shipping_address.company ou em note_attributes (checkout)
+
+export const onlyDigits = (value) => String(value ?? '').replace(/\D/g, '');
+
+export function isValidCpf(value) {
+    const cpf = onlyDigits(value);
+    if (cpf.length !== 11 || /^(\d)\1+$/.test(cpf)) return false;
+
+    const check = (length) => {
+        const sum = cpf.slice(0, length).split('')
+            .reduce((total, digit, i) => total + Number(digit) * (length + 1 - i), 0);
+        const rest = (sum * 10) % 11;
+        return rest === 10 ? 0 : rest;
+    };
+
+    return check(9) === Number(cpf[9]) && check(10) === Number(cpf[10]);
+}
+
+export function isValidCnpj(value) {
+    const cnpj = onlyDigits(value);
+    if (cnpj.length !== 14 || /^(\d)\1+$/.test(cnpj)) return false;
+
+    const check = (length) => {
+        const weights = length === 12
+            ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+            : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        const sum = cnpj.slice(0, length).split('')
+            .reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+
+    return check(12) === Number(cnpj[12]) && check(13) === Number(cnpj[13]);
+}
+
+// "cpf" ou "cnpj" quando o valor é um documento válido, senão null
+export function documentType(value) {
+    if (isValidCpf(value)) return 'cpf';
+    if (isValidCnpj(value)) return 'cnpj';
+    return null;
+}
+
+// Nomes de note_attributes que costumam guardar o documento
+const DOCUMENT_ATTRIBUTE = /cpf|cnpj|documento|document|tax/i;
+
+// Documentos (só dígitos) encontrados no pedido
+export function orderDocuments(order) {
+    const candidates = [
+        order.shipping_address?.company,
+        order.billing_address?.company,
+        ...(order.note_attributes || [])
+            .filter(attr => DOCUMENT_ATTRIBUTE.test(attr.name || '') || documentType(attr.value))
+            .map(attr => attr.value)
+    ];
+
+    return Array.from(new Set(candidates.filter(value => documentType(value)).map(onlyDigits)));
+}
@@ -0,0 +1,207 @@
+// export.js
+// Exportação da lista de pedidos enriquecidos em CSV ou XLSX
+// Colunas e formatação (pt-BR ou ISO) configuráveis pela query string
+
+import { buildXlsx } from './xlsx.js';
+import { localDateKey, timezoneOffsetMinutes, TIMEZONE } from './business-calendar.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const EXPORT_LOCALES = ['pt-BR', 'iso'];
+
+const customerName = (order) => {
+    const customer = order.customer || {};
+    const name = `${customer.first_name || ''} ${customer.last_name || ''}`.trim();
+    return name || order.shipping_address?.name || '';
+};
+
+// Tipos: text, number, integer, date, boolean
+export const EXPORT_COLUMNS = {
+    name: { header: 'Pedido', type: 'text', value: o => o.name },
+    created_at: { header: 'Data do pedido', type: 'date', value: o => o.created_at },
+    days_since_order: { header: 'Dias desde o pedido', type: 'integer', value: o => o.days_since_order },
+    business_days_since_order: { header: 'Dias úteis', type: 'integer', value: o => o.business_days_since_order },
+    urgency_level: { header: 'Urgência', type: 'text', value: o => o.urgency_level },
+    prazo_status: { header: 'Status do prazo', type: 'text', value: o => o.prazo_status },
+    is_late: { header: 'Atrasado', type: 'boolean', value: o => o.is_late },
+    tracking_numbers: {
+        header: 'Rastreios',
+        type: 'text',
+        value: o => (o.all_tracking_numbers || []).filter(t => t.valid).map(t => t.code).join(', ')
+    },
+    carriers: {
+        header: 'Transportadoras',
+        type: 'text',
+        value: o => Array.from(new Set((o.all_tracking_numbers || []).map(t => t.carrier).filter(Boolean))).join(', ')
+    },
+    customer: { header: 'Cliente', type: 'text', value: customerName },
+    email: { header: 'E-mail', type: 'text', value: o => o.email || o.customer?.email || '' },
+    city: { header: 'Cidade', type: 'text', value: o => o.shipping_address?.city || '' },
+    state: { header: 'UF', type: 'text', value: o => o.shipping_address?.province_code || '' },
+    zip: { header: 'CEP', type: 'text', value: o => o.shipping_address?.zip || '' },
+    line_items: {
+        header: 'Itens',
+        type: 'text',
+        value: o => (o.line_items || [])
+            .map(item => `${item.quantity || 1}x ${item.title || item.name || 'Produto'}${item.sku ? ` (${item.sku})` : ''}`)
+            .join(' | ')
+    },
+    vendors: {
+        header: 'Fornecedores',
+        type: 'text',
+        value: o => Array.from(new Set((o.line_items || []).map(item => item.vendor).filter(Boolean))).join(', ')
+    },
+    total_price: { header: 'Total', type: 'number', value: o => parseFloat(o.total_price || 0) },
+    financial_status: { header: 'Pagamento', type: 'text', value: o => o.financial_status },
+    fulfillment_status: { header: 'Envio', type: 'text', value: o => o.fulfillment_status || 'unfulfilled' },
+    tags: { header: 'Tags', type: 'text', value: o => o.tags || '' },
+    sla_rule: { header: 'Regra de SLA', type: 'text', value: o => o.sla_rule?.id || '' },
+    store: { header: 'Loja', type: 'text', value: o => o.store || '' }
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+    'name', 'created_at', 'days_since_order', 'urgency_level', 'prazo_status', 'tracking_numbers',
+    'customer', 'city', 'state', 'line_items', 'total_price'
+];
+
+const first = (value) => Array.isArray(value) ? value[0] : value;
+
+// Ler opções de exportação da query. Retorna { options } (null sem format) ou { error }
+export function parseExportQuery(query = {}) {
+    const format = first(query.format);
+    if (!format || format === 'json') return { options: null };
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `format deve ser um de: json, ${EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const columns = first(query.columns)
+        ? first(query.columns).split(',').map(c => c.trim()).filter(Boolean)
+        : DEFAULT_EXPORT_COLUMNS;
+    const unknown = columns.filter(c => !EXPORT_COLUMNS[c]);
+    if (unknown.length > 0) {
+        return { error: `Colunas desconhecidas: ${unknown.join(', ')}. Disponíveis: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+    }
+
+    const locale = first(query.locale) || 'pt-BR';
+    if (!EXPORT_LOCALES.includes(locale)) {
+        return { error: `locale deve ser um de: ${EXPORT_LOCALES.join(', ')}` };
+    }
+
+    // pt-BR: Excel brasileiro espera ";" porque a vírgula é o separador decimal
+    const delimiter = first(query.delimiter) || (locale === 'pt-BR' ? ';' : ',');
+    if (![',', ';', '\t', 'tab'].includes(delimiter)) {
+        return { error: 'delimiter deve ser ",", ";" ou "tab"' };
+    }
+
+    return {
+        options: {
+            format,
+            columns,
+            locale,
+            delimiter: delimiter === 'tab' ? '\t' : delimiter
+        }
+    };
+}
+
+const dateTimeFormatter = new Intl.DateTimeFormat('pt-BR', {
+    timeZone: TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+// Formatar um valor para texto (CSV)
+const formatText = (value, type, locale) => {
+    if (value === null || value === undefined || value === '') return '';
+
+    switch (type) {
+    case 'date': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+        if (locale === 'iso') return date.toISOString();
+        const [year, month, day] = localDateKey(date).split('-');
+        return `${day}/${month}/${year} ${dateTimeFormatter.format(date)}`;
+    }
+    case 'number':
+        return locale === 'pt-BR'
+            ? Number(value).toFixed(2).replace('.', ',')
+            : Number(value).toFixed(2);
+    case 'boolean':
+        if (locale === 'pt-BR') return value ? 'sim' : 'não';
+        return value ? 'true' : 'false';
+    default:
+        return String(value);
+    }
+};
+
+// Texto que começa como fórmula (=, +, -, @, tab, CR) vira texto com ' na frente, senão
+// o Excel/Sheets executa o que o cliente escreveu no nome, endereço ou nota.
+// Números ficam de fora: "-10,00" é um valor, não uma fórmula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value, delimiter, type = 'text') => {
+    if (type !== 'number' && type !== 'integer' && FORMULA_START.test(value)) {
+        value = `'${value}`;
+    }
+    if (value.includes('"') || value.includes(delimiter) || /[\r\n]/.test(value)) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+};
+
+export function buildCsv(orders, { columns, locale, delimiter }) {
+    const lines = [columns.map(c => escapeCsv(EXPORT_COLUMNS[c].header, delimiter)).join(delimiter)];
+
+    orders.forEach(order => {
+        lines.push(columns.map(c => {
+            const column = EXPORT_COLUMNS[c];
+            return escapeCsv(formatText(column.value(order), column.type, locale), delimiter, column.type);
+        }).join(delimiter));
+    });
+
+    // BOM para o Excel reconhecer UTF-8
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+// No XLSX datas e números vão tipados; o Excel formata conforme o idioma dele
+const xlsxValue = (value, type) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'date') {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date;
+    }
+    if (type === 'number' || type === 'integer') return Number(value);
+    if (type === 'boolean') return Boolean(value);
+    return String(value);
+};
+
+export function buildXlsxExport(orders, { columns }) {
+    return buildXlsx({
+        sheetName: 'Pedidos ativos',
+        headers: columns.map(c => EXPORT_COLUMNS[c].header),
+        rows: orders.map(order => columns.map(c => {
+            const column = EXPORT_COLUMNS[c];
+            return xlsxValue(column.value(order), column.type);
+        })),
+        dateOffset: timezoneOffsetMinutes
+    });
+}
+
+// Gerar o arquivo: { body, contentType, filename }
+export function exportOrders(orders, options, { basename = 'pedidos-ativos' } = {}) {
+    const filename = `${basename}-${localDateKey()}.${options.format}`;
+
+    if (options.format === 'xlsx') {
+        return {
+            body: buildXlsxExport(orders, options),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            filename
+        };
+    }
+
+    return {
+        body: buildCsv(orders, options),
+        contentType: 'text/csv; charset=utf-8',
+        filename
+    };
+}
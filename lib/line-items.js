@@ -0,0 +1,167 @@
+// line-items.js
+// Análise por item do pedido: envio, rastreio, dias de espera e urgência de cada item
+// Pedidos com itens de fornecedores diferentes saem em envios separados; um pedido com parte
+// enviada fica "partially_shipped" e a urgência considera o item pendente mais atrasado
+// Usado pelo pipeline (shopify-proxy) e pelo order-details
+
+import { evaluateSla } from './sla-rules.js';
+import { calendarDaysSince, businessDaysSince } from './business-calendar.js';
+import { parseFulfillmentTracking } from './carriers.js';
+import { URGENCY_ORDER } from './order-query.js';
+
+export const SHIPPING_STATUSES = ['unshipped', 'partially_shipped', 'shipped', 'delivered'];
+
+// Fulfillments que não saíram (cancelados ou com erro) não contam como envio
+const VOID_FULFILLMENT_STATUSES = ['cancelled', 'error', 'failure'];
+
+// Itens que precisam de envio (sem cartão-presente e serviços)
+export const isShippable = (item) => item.requires_shipping !== false && item.gift_card !== true;
+
+const isDeliveredFulfillment = (fulfillment) =>
+    fulfillment.shipment_status === 'delivered' || fulfillment.status === 'delivered';
+
+// Quantidade ainda a enviar (fulfillable_quantity já desconta itens reembolsados/removidos)
+const pendingQuantity = (item, shippedQuantity) => {
+    if (item.fulfillable_quantity !== undefined && item.fulfillable_quantity !== null) {
+        return item.fulfillable_quantity;
+    }
+    if (item.fulfillment_status === 'fulfilled') return 0;
+    return Math.max((item.quantity || 1) - shippedQuantity, 0);
+};
+
+// Pedido com algum item ainda não enviado
+export const hasPendingItems = (order) => (order.line_items || [])
+    .filter(isShippable)
+    .some(item => pendingQuantity(item, 0) > 0);
+
+// ============================
+// ANÁLISE POR ITEM
+// ============================
+
+// Envio de cada item. Os line_items dos fulfillments (REST e GraphQL paginado) dizem o que
+// saiu em cada envio; sem esse detalhe (bulk), todo item enviado leva os códigos do pedido
+const itemShipments = (order, item) => {
+    const fulfillments = (order.fulfillments || [])
+        .filter(f => !VOID_FULFILLMENT_STATUSES.includes(f.status));
+    const detailed = fulfillments.some(f => Array.isArray(f.line_items) && f.line_items.length > 0);
+
+    if (!detailed) {
+        const shipped = Math.max((item.quantity || 1) - pendingQuantity(item, 0), 0);
+        return { fulfillments: shipped > 0 ? fulfillments : [], shippedQuantity: shipped };
+    }
+
+    const withItem = fulfillments.filter(f => (f.line_items || []).some(line => line.id === item.id));
+    const shippedQuantity = withItem.reduce((total, f) => total + f.line_items
+        .filter(line => line.id === item.id)
+        .reduce((sum, line) => sum + (line.quantity || 0), 0), 0);
+
+    return { fulfillments: withItem, shippedQuantity };
+};
+
+// Situação de um item: { shipping_status, shipped_quantity, pending_quantity, tracking_number,
+// tracking_numbers, shipped_at, days_waiting, urgency_level, prazo_status, is_late, sla_rule }
+export function analyzeLineItem(order, item, { now = new Date(), slaRules, businessDays = null }) {
+    const { fulfillments, shippedQuantity } = itemShipments(order, item);
+    const pending = pendingQuantity(item, shippedQuantity);
+
+    const trackings = fulfillments.flatMap(parseFulfillmentTracking);
+    const trackingNumbers = Array.from(new Set(trackings.filter(t => t.valid).map(t => t.code)));
+    const shippedAt = fulfillments
+        .map(f => f.created_at)
+        .filter(Boolean)
+        .sort((a, b) => new Date(a) - new Date(b))[0] || null;
+
+    let shippingStatus = 'unshipped';
+    if (pending === 0 && fulfillments.length > 0 && fulfillments.every(isDeliveredFulfillment)) {
+        shippingStatus = 'delivered';
+    } else if (pending === 0) {
+        shippingStatus = 'shipped';
+    } else if (shippedQuantity > 0) {
+        shippingStatus = 'partially_shipped';
+    }
+
+    // Dias esperando: até o primeiro envio ou, com algo pendente, até agora
+    const daysWaiting = pending > 0 || !shippedAt ?
+        calendarDaysSince(order.created_at, now) :
+        calendarDaysSince(order.created_at, new Date(shippedAt));
+
+    let sla = { urgency_level: 'delivered', prazo_status: 'concluido', is_late: false, sla_rule: null };
+
+    if (shippingStatus !== 'delivered') {
+        // Regras por fornecedor valem para o item (o pedido "tem" só este item)
+        sla = evaluateSla({ ...order, line_items: [item] }, {
+            calendarDays: calendarDaysSince(order.created_at, now),
+            businessDays: businessDays ?? businessDaysSince(order.created_at, now, { state: slaRules.calendar.state }),
+            hasTracking: pending === 0 && trackingNumbers.length > 0,
+            ruleSet: slaRules
+        });
+    }
+
+    return {
+        shipping_status: shippingStatus,
+        shipped_quantity: shippedQuantity,
+        pending_quantity: pending,
+        tracking_number: trackingNumbers[0] || null,
+        tracking_numbers: trackingNumbers,
+        shipped_at: shippedAt,
+        days_waiting: daysWaiting,
+        urgency_level: sla.urgency_level,
+        prazo_status: sla.prazo_status,
+        is_late: sla.is_late,
+        sla_rule: sla.sla_rule
+    };
+}
+
+// Itens do pedido com a análise e o resumo do envio:
+// { line_items, shipping_status, pending_items, pending_line_items, worst_pending }
+export function analyzeLineItems(order, options) {
+    const lineItems = (order.line_items || []).map(item => (
+        isShippable(item) ? { ...item, ...analyzeLineItem(order, item, options) } : item
+    ));
+    const shippable = lineItems.filter(isShippable);
+    const pendingItems = shippable.filter(item => item.pending_quantity > 0);
+    const shippedItems = shippable.filter(item => item.shipped_quantity > 0);
+
+    let shippingStatus = 'unshipped';
+    if (shippable.length > 0 && pendingItems.length === 0) {
+        shippingStatus = shippable.every(item => item.shipping_status === 'delivered') ? 'delivered' : 'shipped';
+    } else if (shippedItems.length > 0) {
+        shippingStatus = 'partially_shipped';
+    }
+
+    // Item pendente mais urgente (desempate pelos dias esperando)
+    const worstPending = [...pendingItems].sort((a, b) =>
+        (URGENCY_ORDER[b.urgency_level] || 0) - (URGENCY_ORDER[a.urgency_level] || 0) ||
+        b.days_waiting - a.days_waiting)[0] || null;
+
+    return {
+        line_items: lineItems,
+        shipping_status: shippingStatus,
+        pending_items: pendingItems.reduce((total, item) => total + item.pending_quantity, 0),
+        pending_line_items: pendingItems.length,
+        worst_pending: worstPending
+    };
+}
+
+// Urgência do pedido parcialmente enviado: o rastreio dos itens que já saíram não esconde
+// o item que ainda não saiu. Retorna { urgency_level, prazo_status, is_late }
+export function pendingItemsUrgency(orderSla, analysis) {
+    const pending = analysis.worst_pending;
+    const current = {
+        urgency_level: orderSla.urgency_level,
+        prazo_status: orderSla.prazo_status,
+        is_late: orderSla.is_late
+    };
+
+    if (analysis.shipping_status !== 'partially_shipped' || !pending) {
+        return current;
+    }
+
+    if ((URGENCY_ORDER[pending.urgency_level] || 0) > (URGENCY_ORDER[current.urgency_level] || 0)) {
+        current.urgency_level = pending.urgency_level;
+        current.prazo_status = pending.prazo_status;
+    }
+    current.is_late = current.is_late || pending.is_late;
+
+    return current;
+}
@@ -0,0 +1,56 @@
+// order-cache.js
+// Cache das respostas do order-details por pedido, invalidado por ações e webhooks
+// Falhas no cache só são registradas: o pedido sempre pode ser buscado na Shopify
+
+import { openCollection } from './storage.js';
+
+const CACHE_COLLECTION = 'order-details-cache';
+
+export const ORDER_CACHE_TTL_SECONDS = 60;
+
+const isExpired = (entry) => Date.now() - new Date(entry.cached_at).getTime() > ORDER_CACHE_TTL_SECONDS * 1000;
+
+export async function getCachedOrderDetails(orderId) {
+    try {
+        const entry = await openCollection(CACHE_COLLECTION).get(String(orderId));
+        return entry && !isExpired(entry) ? entry : null;
+    } catch (error) {
+        console.log('⚠️ Erro ao ler cache do pedido:', error.message);
+        return null;
+    }
+}
+
+export async function setCachedOrderDetails(orderId, payload) {
+    try {
+        await openCollection(CACHE_COLLECTION).update(data => {
+            // Aproveitar a escrita para descartar entradas expiradas
+            Object.keys(data).forEach(key => {
+                if (isExpired(data[key])) delete data[key];
+            });
+            data[String(orderId)] = { cached_at: new Date().toISOString(), payload };
+        });
+    } catch (error) {
+        console.log('⚠️ Erro ao gravar cache do pedido:', error.message);
+    }
+}
+
+// Remover do cache os pedidos alterados
+export async function invalidateOrderDetails(orderIds) {
+    const ids = (Array.isArray(orderIds) ? orderIds : [orderIds]).map(String);
+
+    try {
+        return await openCollection(CACHE_COLLECTION).update(data => {
+            let removed = 0;
+            ids.forEach(id => {
+                if (data[id]) {
+                    delete data[id];
+                    removed++;
+                }
+            });
+            return removed;
+        });
+    } catch (error) {
+        console.log('⚠️ Erro ao invalidar cache dos pedidos:', error.message);
+        return 0;
+    }
+}
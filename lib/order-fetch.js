@@ -0,0 +1,97 @@
+// order-fetch.js
+// Busca dos pedidos da janela na Shopify, por REST (orders.json), GraphQL (cursor) ou bulk operation
+// Todas devolvem { orders, pages, truncated, backend } com pedidos no formato REST
+
+import { fetchOrdersGraphql, fetchOrdersBulk } from './shopify-graphql.js';
+import { ShopifyError } from './shopify-client.js';
+
+export const FETCH_BACKENDS = ['rest', 'graphql', 'bulk'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Máximo de pedidos por página do orders.json
+const REST_PAGE_LIMIT = 250;
+
+// Campos do orders.json usados no enriquecimento
+export const REST_ORDER_FIELDS = [
+    'id', 'name', 'created_at', 'updated_at', 'customer', 'total_price',
+    'financial_status', 'fulfillment_status', 'fulfillments', 'tags', 'note',
+    'cancelled_at', 'cancel_reason', 'total_refunds', 'tracking_numbers',
+    'line_items', 'shipping_lines', 'shipping_address', 'discount_codes'
+];
+
+// Paginação do orders.json pelo header Link (page_info)
+async function fetchOrdersRest(client, { createdAtMin, updatedAtMin, maxPages, fields = REST_ORDER_FIELDS, onPage }) {
+    const orders = [];
+    let pageInfo = null;
+    let pages = 0;
+
+    for (;;) {
+        pages++;
+
+        // Paginação usa só page_info; a primeira página leva os filtros
+        const query = pageInfo
+            ? { page_info: pageInfo, limit: REST_PAGE_LIMIT }
+            : {
+                status: 'any',
+                limit: REST_PAGE_LIMIT,
+                created_at_min: createdAtMin,
+                updated_at_min: updatedAtMin,
+                fields: fields
+            };
+
+        const { data, nextPageInfo } = await client.get('orders.json', { query });
+        const pageOrders = data.orders || [];
+        orders.push(...pageOrders);
+
+        if (onPage) onPage({ page: pages, count: pageOrders.length });
+
+        if (!nextPageInfo || pageOrders.length === 0) return { orders, pages, truncated: false };
+        if (pages >= maxPages) return { orders, pages, truncated: true };
+        pageInfo = nextPageInfo;
+    }
+}
+
+// Buscar os pedidos dos últimos daysToFetch dias (updatedSince: só os alterados desde então)
+export async function fetchOrders(client, {
+    backend = 'rest',
+    daysToFetch = 90,
+    updatedSince = null,
+    maxPages = 15,
+    bulkTimeoutMs = 20000,
+    // Só no REST: o GraphQL já traz e-mail, telefone e atributos do pedido
+    fields = REST_ORDER_FIELDS,
+    // Início da janela conta a partir de now (no replay, o instante da gravação)
+    now = new Date(),
+    onPage
+} = {}) {
+    const options = {
+        createdAtMin: new Date(new Date(now).getTime() - daysToFetch * DAY_MS).toISOString(),
+        updatedAtMin: updatedSince,
+        maxPages,
+        onPage
+    };
+
+    // maxPages conta páginas de 250 do REST; o GraphQL usa páginas bem menores (ver shopify-graphql.js),
+    // então o limite do cursor é o mesmo número de pedidos, não de páginas
+    const graphqlOptions = { ...options, maxOrders: maxPages * REST_PAGE_LIMIT };
+
+    if (backend === 'graphql') {
+        return { ...(await fetchOrdersGraphql(client, graphqlOptions)), backend };
+    }
+
+    if (backend === 'bulk') {
+        try {
+            const { orders } = await fetchOrdersBulk(client, { ...options, timeoutMs: bulkTimeoutMs });
+            return { orders, pages: 1, truncated: false, backend };
+        } catch (error) {
+            // Bulk lento ou já existe outro rodando na loja: seguir pelo cursor
+            if (!(error instanceof ShopifyError)) throw error;
+            console.log(`⚠️ Bulk operation indisponível (${error.message}), usando paginação GraphQL`);
+            const result = await fetchOrdersGraphql(client, graphqlOptions);
+            return { ...result, backend: 'graphql', fallback_reason: error.message };
+        }
+    }
+
+    return { ...(await fetchOrdersRest(client, { ...options, fields })), backend: 'rest' };
+}
@@ -0,0 +1,464 @@
+// order-pipeline.js
+// Busca e classificação dos pedidos ativos (o mesmo processamento do shopify-proxy)
+// Usado pelo shopify-proxy e pelo resumo diário (api/cron/daily-digest.js)
+
+import { loadSlaRules, evaluateSla } from './sla-rules.js';
+import { calendarDaysSince, businessDaysSince } from './business-calendar.js';
+import { listStoredOrders, mergeOrders } from './order-store.js';
+import { collectOrderTracking } from './carriers.js';
+import { trackingProvidersEnabled, fetchCheckpointsBatch, latestCheckpoint } from './tracking/index.js';
+import { isEvictable, loadSyncState, saveSyncState, resolveSyncMode, nextWatermark } from './order-sync.js';
+import { fetchOrders } from './order-fetch.js';
+import { hasOpenReturn, returnState } from './returns.js';
+import { analyzeLineItems, pendingItemsUrgency, hasPendingItems } from './line-items.js';
+import { destinationOf } from './regions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================
+// CLASSIFICAÇÃO
+// ============================
+
+// Verificar se pedido está entregue (checkpoint: último evento da transportadora, se houver)
+export function isOrderDelivered(order, checkpoint = null, { now = new Date() } = {}) {
+    // 1. Verificar fulfillments (envio parcial entregue não conta enquanto houver item pendente)
+    if (order.fulfillments && order.fulfillments.length > 0 && !hasPendingItems(order)) {
+        const hasDelivered = order.fulfillments.some(f =>
+            f.shipment_status === 'delivered' ||
+            f.status === 'delivered'
+        );
+        if (hasDelivered) return true;
+    }
+
+    // 2. Verificar tags
+    if (order.tags) {
+        const tagsLower = order.tags.toLowerCase();
+        const deliveredTags = ['entregue', 'delivered', 'finalizado', 'concluido', 'completo'];
+        if (deliveredTags.some(tag => tagsLower.includes(tag))) {
+            return true;
+        }
+    }
+
+    // 3. Verificar nota do pedido
+    if (order.note) {
+        const noteLower = order.note.toLowerCase();
+        if (noteLower.includes('entregue') || noteLower.includes('delivered')) {
+            return true;
+        }
+    }
+
+    // 4. Último checkpoint da transportadora substitui a suposição abaixo
+    // (com item pendente, o checkpoint é de um envio parcial: como no passo 1, não conta)
+    if (checkpoint && !hasPendingItems(order)) {
+        return checkpoint.status === 'delivered';
+    }
+
+    // 5. Se pedido tem mais de 60 dias E está fulfilled, presumir entregue
+    if (order.fulfillment_status === 'fulfilled') {
+        const orderDate = new Date(order.created_at);
+        const daysPassed = Math.floor((new Date(now) - orderDate) / DAY_MS);
+        if (daysPassed > 60) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Filtrar pedidos válidos
+export function isValidOrder(order, { now = new Date() } = {}) {
+    // Validar que o pedido tem dados mínimos
+    if (!order || !order.id || !order.created_at) {
+        return false;
+    }
+
+    // Remover pedidos cancelados
+    if (order.cancelled_at || order.cancel_reason) {
+        return false;
+    }
+
+    // Remover pedidos com status financeiro inválido
+    const invalidFinancialStatus = ['refunded', 'voided'];
+    if (invalidFinancialStatus.includes(order.financial_status)) {
+        return false;
+    }
+
+    // Aceitar parcialmente reembolsados se ainda tem valor
+    if (order.financial_status === 'partially_refunded') {
+        const totalPrice = parseFloat(order.total_price || 0);
+        const refundedAmount = parseFloat(order.total_refunds || 0);
+        if (refundedAmount >= totalPrice) {
+            return false;
+        }
+    }
+
+    // Manter pedidos pendentes por até 7 dias
+    if (order.financial_status === 'pending') {
+        const orderDate = new Date(order.created_at);
+        const daysPassed = Math.floor((new Date(now) - orderDate) / DAY_MS);
+        if (daysPassed > 7) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Campos calculados de um pedido ativo (prazo, urgência, rastreio, movimentação)
+export function enrichOrder(order, { now = new Date(), slaRules, checkpoint = null }) {
+    // Dias corridos e dias úteis (sem fins de semana e feriados, fuso de São Paulo)
+    const daysPassed = calendarDaysSince(order.created_at, now);
+    const businessDays = businessDaysSince(order.created_at, now, { state: slaRules.calendar.state });
+
+    // Coletar e validar todos os tracking numbers (campo direto e fulfillments)
+    const trackingInfo = collectOrderTracking(order);
+    const trackingNumbers = trackingInfo.filter(t => t.valid).map(t => t.code);
+
+    // Códigos inválidos ou placeholders não contam como rastreio
+    const hasTracking = trackingNumbers.length > 0;
+    const sla = evaluateSla(order, {
+        calendarDays: daysPassed,
+        businessDays: businessDays,
+        hasTracking: hasTracking,
+        ruleSet: slaRules
+    });
+
+    // Por item: envio, rastreio e urgência. No envio parcial o item pendente mais urgente
+    // prevalece sobre o rastreio dos itens já enviados
+    const items = analyzeLineItems(order, { now, slaRules, businessDays });
+    const orderSla = pendingItemsUrgency(sla, items);
+
+    let urgencyLevel = orderSla.urgency_level;
+    let prazoStatus = orderSla.prazo_status;
+    let isLate = orderSla.is_late;
+
+    // Último checkpoint: envio parado ou devolvido
+    const daysWithoutMovement = checkpoint ? calendarDaysSince(checkpoint.date, now) : null;
+    const isReturned = checkpoint?.status === 'returned';
+    const isStuck = Boolean(checkpoint) && !isReturned &&
+        daysWithoutMovement > slaRules.tracking.stuck_after_days;
+
+    if (isReturned) {
+        prazoStatus = 'devolvido';
+        urgencyLevel = 'critical';
+    } else if (isStuck) {
+        prazoStatus = 'sem_movimentacao';
+        if (urgencyLevel === 'normal' || urgencyLevel === 'medium') urgencyLevel = 'high';
+    }
+
+    // Devolução aberta ou reembolso parcial: faixa própria, separada dos pedidos normais.
+    // Com devolução aberta o prazo de entrega não vale mais; no reembolso parcial o
+    // restante ainda precisa ser enviado e segue o SLA
+    const returnStatus = returnState(order);
+
+    // Destino (UF e prefixo do CEP) para os recortes regionais
+    const destination = destinationOf(order);
+
+    if (returnStatus && !isReturned) {
+        prazoStatus = 'devolucao_em_andamento';
+        if (returnStatus !== 'partially_refunded') {
+            urgencyLevel = 'medium';
+            isLate = false;
+        }
+    }
+
+    return {
+        ...order,
+        // Campos calculados
+        days_since_order: daysPassed,
+        business_days_since_order: businessDays,
+        urgency_level: urgencyLevel,
+        prazo_status: prazoStatus,
+        has_tracking: hasTracking,
+        all_tracking_numbers: trackingInfo,
+        tracking_number: trackingNumbers.join(', ') || null,
+        line_items: items.line_items,
+        shipping_status: items.shipping_status,
+        pending_items: items.pending_items,
+        has_pending_items: items.pending_items > 0,
+        destination_state: destination.state,
+        cep_prefix: destination.cep_prefix,
+        cep_region: destination.cep_region,
+        is_late: isLate,
+        sla_rule: sla.sla_rule,
+        last_checkpoint: checkpoint,
+        days_without_movement: daysWithoutMovement,
+        is_stuck: isStuck,
+        is_returned: isReturned,
+        return_status: returnStatus,
+        is_returning: Boolean(returnStatus) && !isReturned,
+        // Análise compatível com o dashboard
+        analysis: {
+            daysPassed: daysPassed,
+            businessDaysPassed: businessDays,
+            status: urgencyLevel === 'critical' ? 'critical' :
+                    urgencyLevel === 'high' ? 'late' :
+                    urgencyLevel === 'medium' ? 'warning' : 'normal',
+            prazoStatus: prazoStatus,
+            priority: urgencyLevel === 'critical' ? 10 :
+                     urgencyLevel === 'high' ? 8 :
+                     urgencyLevel === 'medium' ? 5 : 2,
+            isLate: isLate,
+            isDelivered: false,
+            hasTracking: hasTracking,
+            trackingNumbers: trackingNumbers
+        }
+    };
+}
+
+// Estatísticas de classificação de um conjunto de pedidos enriquecidos
+export function summarizeOrders(orders) {
+    return {
+        // Por urgência
+        critical_orders: orders.filter(o => o.urgency_level === 'critical').length,
+        high_priority: orders.filter(o => o.urgency_level === 'high').length,
+        medium_priority: orders.filter(o => o.urgency_level === 'medium').length,
+        normal_priority: orders.filter(o => o.urgency_level === 'normal').length,
+
+        // Por tracking
+        without_tracking: orders.filter(o => !o.has_tracking).length,
+        with_tracking: orders.filter(o => o.has_tracking).length,
+
+        // Por movimentação (checkpoints das transportadoras)
+        stuck_orders: orders.filter(o => o.is_stuck).length,
+        returned_orders: orders.filter(o => o.is_returned).length,
+
+        // Devolução em andamento ou reembolso parcial
+        returning_orders: orders.filter(o => o.is_returning).length,
+
+        // Por envio dos itens
+        partially_shipped_orders: orders.filter(o => o.shipping_status === 'partially_shipped').length,
+        orders_with_pending_items: orders.filter(o => o.has_pending_items).length,
+        pending_items: orders.reduce((total, o) => total + (o.pending_items || 0), 0),
+
+        // Por prazo
+        late_orders: orders.filter(o => o.is_late).length,
+        on_time_orders: orders.filter(o => !o.is_late).length,
+
+        // Temporal
+        last_7_days: orders.filter(o => o.days_since_order <= 7).length,
+        last_15_days: orders.filter(o => o.days_since_order <= 15).length,
+        last_30_days: orders.filter(o => o.days_since_order <= 30).length,
+        over_30_days: orders.filter(o => o.days_since_order > 30).length,
+
+        // Percentuais
+        late_percentage: orders.length > 0 ?
+            ((orders.filter(o => o.is_late).length / orders.length) * 100).toFixed(1) : 0,
+        tracking_percentage: orders.length > 0 ?
+            ((orders.filter(o => o.has_tracking).length / orders.length) * 100).toFixed(1) : 0
+    };
+}
+
+// ============================
+// PIPELINE
+// ============================
+
+// Buscar, sincronizar a cópia local, separar entregues e enriquecer os ativos.
+// syncRequested/useSnapshot: ver SYNC_MODE no README. Erros da Shopify sobem para quem chama
+// store (lib/stores.js): regras de SLA e cópia local da loja; os ativos saem com o campo store
+export async function runOrderPipeline(shopify, {
+    daysToFetch,
+    maxPages,
+    backend: backendRequested = 'rest',
+    bulkMinDays = 180,
+    bulkTimeoutMs = 20000,
+    syncRequested = 'full',
+    useSnapshot = false,
+    fullResyncHours = 24,
+    trackingMaxLookups = 100,
+    store = null,
+    // Progresso da busca ({ page, count }), para o streaming do shopify-proxy
+    onPage = null,
+    now = new Date()
+}) {
+    console.log(`🚀 Iniciando busca de pedidos dos últimos ${daysToFetch} dias${store ? ` (loja ${store.id})` : ''}...`);
+
+    // Regras de SLA (prazos por frete, fornecedor, tag ou estado)
+    const slaRules = await loadSlaRules({ location: store?.slaRulesPath || null });
+
+    // Decidir entre busca completa e incremental
+    const syncState = useSnapshot ? await loadSyncState({ store }) : {};
+    const sync = useSnapshot
+        ? resolveSyncMode(syncRequested, syncState, { fullResyncHours, now })
+        : { mode: 'full', reason: 'sem_copia_local' };
+    const updatedSince = sync.mode === 'incremental' ? syncState.watermark : null;
+
+    if (updatedSince) {
+        console.log(`🔄 Sincronização incremental desde ${updatedSince}`);
+    }
+
+    // GraphQL em janelas grandes sem cursor incremental vai por bulk operation
+    const backend = backendRequested === 'graphql' && !updatedSince && daysToFetch >= bulkMinDays
+        ? 'bulk'
+        : backendRequested;
+
+    const fetchResult = await fetchOrders(shopify, {
+        backend: backend,
+        daysToFetch: daysToFetch,
+        updatedSince: updatedSince,
+        maxPages: maxPages,
+        bulkTimeoutMs: bulkTimeoutMs,
+        now: now,
+        onPage: (progress) => {
+            console.log(`✅ Página ${progress.page}: ${progress.count} pedidos`);
+            if (onPage) onPage(progress);
+        }
+    });
+
+    const fetchedOrders = fetchResult.orders;
+    const truncated = fetchResult.truncated;
+
+    // Busca interrompida antes do fim (limite de páginas): estatísticas parciais
+    if (truncated) {
+        console.log(`⚠️ Limite de ${maxPages} páginas atingido, resultado truncado`);
+    }
+
+    console.log(`\n🎯 Busca completa (${fetchResult.backend}): ${fetchedOrders.length} pedidos em ${fetchResult.pages} páginas`);
+
+    // ============================
+    // CÓPIA LOCAL
+    // ============================
+
+    let allOrders = fetchedOrders;
+    let syncResult = null;
+    // Busca truncada não conta como resync completo
+    const lastFullSyncAt = sync.mode === 'full' && !truncated ? new Date(now).toISOString() : syncState.last_full_sync_at;
+
+    if (useSnapshot) {
+        const windowStart = new Date(new Date(now).getTime() - (daysToFetch * DAY_MS));
+
+        // Cancelados, reembolsados e pedidos fora da janela saem da cópia local
+        // Truncada: só mesclar, sem substituir a cópia nem avançar o cursor
+        syncResult = await mergeOrders(fetchedOrders, {
+            source: `sync_${sync.mode}`,
+            replace: sync.mode === 'full' && !truncated,
+            evict: (order) => isEvictable(order) || new Date(order.created_at) < windowStart,
+            store
+        });
+
+        await saveSyncState({
+            ...syncState,
+            watermark: truncated
+                ? syncState.watermark
+                : nextWatermark(fetchedOrders, sync.mode === 'full' ? null : syncState.watermark),
+            last_full_sync_at: lastFullSyncAt,
+            last_sync_at: new Date(now).toISOString(),
+            last_sync_mode: sync.mode
+        }, { store });
+
+        allOrders = await listStoredOrders({ store });
+        console.log(`💾 Cópia local: ${allOrders.length} pedidos (${syncResult.changed} alterados, ${syncResult.evicted} removidos)`);
+    }
+
+    // ============================
+    // FILTRAR E CLASSIFICAR
+    // ============================
+
+    console.log('🔍 Iniciando filtragem e análise...');
+
+    const validOrders = allOrders.filter(order => isValidOrder(order, { now }));
+    console.log(`✅ Pedidos válidos: ${validOrders.length} (${allOrders.length - validOrders.length} removidos)`);
+
+    // Checkpoints das transportadoras (TRACKING_PROVIDERS), mais antigos primeiro
+    const checkpointsByOrder = new Map();
+
+    if (trackingProvidersEnabled()) {
+        const trackingByOrder = new Map(validOrders.map(order => [order.id, collectOrderTracking(order)]));
+        const lookups = [...validOrders]
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+            .flatMap(order => trackingByOrder.get(order.id));
+        const results = await fetchCheckpointsBatch(lookups, { limit: trackingMaxLookups });
+
+        validOrders.forEach(order => {
+            const checkpoint = latestCheckpoint(trackingByOrder.get(order.id).map(t => results.get(t.code)));
+            if (checkpoint) checkpointsByOrder.set(order.id, checkpoint);
+        });
+
+        console.log(`🛰️ Checkpoints: ${results.size} códigos consultados, ${checkpointsByOrder.size} pedidos com eventos`);
+    }
+
+    // Separar entregues e ativos (entregue com devolução aberta continua sendo acompanhado)
+    const deliveredOrders = [];
+    const activeOrders = [];
+
+    validOrders.forEach(order => {
+        if (isOrderDelivered(order, checkpointsByOrder.get(order.id), { now }) && !hasOpenReturn(order)) {
+            deliveredOrders.push(order);
+        } else {
+            activeOrders.push(order);
+        }
+    });
+
+    console.log(`📦 Pedidos ativos: ${activeOrders.length}`);
+    console.log(`✅ Pedidos entregues: ${deliveredOrders.length}`);
+
+    const enrichedOrders = activeOrders.map(order => {
+        const enriched = enrichOrder(order, {
+            now,
+            slaRules,
+            checkpoint: checkpointsByOrder.get(order.id) || null
+        });
+        return store ? { ...enriched, store: store.id } : enriched;
+    });
+
+    return {
+        slaRules,
+        fetchResult,
+        truncated,
+        sync,
+        updatedSince,
+        syncResult,
+        lastFullSyncAt,
+        allOrders,
+        validOrders,
+        deliveredOrders,
+        activeOrders,
+        enrichedOrders,
+        checkpointsByOrder
+    };
+}
+
+// Juntar os resultados de várias lojas ([{ store, result }], só as que responderam)
+// no mesmo formato do runOrderPipeline, para o shopify-proxy tratar como uma busca só
+export function combinePipelineResults(runs) {
+    const results = runs.map(run => run.result);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const unique = (values) => Array.from(new Set(values.filter(value => value !== null && value !== undefined)));
+
+    if (results.length === 1) {
+        return results[0];
+    }
+
+    const modes = unique(results.map(result => result.sync.mode));
+    const syncResults = results.map(result => result.syncResult).filter(Boolean);
+    const lastFullSyncs = unique(results.map(result => result.lastFullSyncAt)).sort();
+
+    return {
+        fetchResult: {
+            orders: results.flatMap(result => result.fetchResult.orders),
+            pages: sum(results.map(result => result.fetchResult.pages)),
+            backend: unique(results.map(result => result.fetchResult.backend)).join(','),
+            fallback_reason: unique(results.map(result => result.fetchResult.fallback_reason)).join('; ') || null,
+            truncated: results.some(result => result.fetchResult.truncated)
+        },
+        truncated: results.some(result => result.truncated),
+        // Detalhe por loja fica em metadata.stores do shopify-proxy
+        sync: {
+            mode: modes.length === 1 ? modes[0] : 'misto',
+            reason: 'por_loja'
+        },
+        updatedSince: null,
+        syncResult: syncResults.length > 0 ? {
+            changed: sum(syncResults.map(result => result.changed)),
+            evicted: sum(syncResults.map(result => result.evicted))
+        } : null,
+        // A loja sincronizada há mais tempo
+        lastFullSyncAt: lastFullSyncs[0] || null,
+        allOrders: results.flatMap(result => result.allOrders),
+        validOrders: results.flatMap(result => result.validOrders),
+        deliveredOrders: results.flatMap(result => result.deliveredOrders),
+        activeOrders: results.flatMap(result => result.activeOrders),
+        enrichedOrders: results.flatMap(result => result.enrichedOrders),
+        checkpointsByOrder: new Map(results.flatMap(result => [...result.checkpointsByOrder]))
+    };
+}
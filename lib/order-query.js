@@ -0,0 +1,212 @@
+// order-query.js
+// Filtros, ordenação e paginação server-side da lista de pedidos ativos
+// Usado pelo shopify-proxy para evitar que o dashboard baixe tudo
+
+// Ordem de urgência (mais críticos primeiro)
+export const URGENCY_ORDER = { critical: 4, high: 3, medium: 2, normal: 1 };
+
+const SORT_FIELDS = ['urgency', 'days_since_order', 'created_at', 'updated_at', 'name', 'total_price'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 250;
+
+// Aceita "a,b" ou ?x=a&x=b
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+};
+
+const first = (value) => Array.isArray(value) ? value[0] : value;
+
+const parseBoolean = (value) => {
+    const v = first(value);
+    if (v === undefined || v === '') return undefined;
+    const lower = String(v).toLowerCase();
+    if (['true', '1', 'sim', 'yes'].includes(lower)) return true;
+    if (['false', '0', 'nao', 'não', 'no'].includes(lower)) return false;
+    return null;
+};
+
+const parseDate = (value, endOfDay = false) => {
+    const v = first(value);
+    if (!v) return undefined;
+    // Datas sem horário cobrem o dia inteiro
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(v);
+    const date = new Date(isDateOnly ? `${v}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : v);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(o) && o >= 0 ? o : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Interpretar query string. Retorna { params } ou { error }
+export function parseOrderQuery(query = {}) {
+    const filters = {
+        urgency_level: toList(query.urgency_level),
+        prazo_status: toList(query.prazo_status),
+        has_tracking: parseBoolean(query.has_tracking),
+        is_late: parseBoolean(query.is_late),
+        shipping_status: toList(query.shipping_status),
+        has_pending_items: parseBoolean(query.has_pending_items),
+        tags: toList(query.tag).map(t => t.toLowerCase()),
+        email: (first(query.email) || first(query.customer_email) || '').trim().toLowerCase(),
+        created_from: parseDate(query.created_from),
+        created_to: parseDate(query.created_to, true),
+        search: (first(query.search) || first(query.q) || '').trim().toLowerCase()
+    };
+
+    if (filters.has_tracking === null) return { error: 'has_tracking deve ser true ou false' };
+    if (filters.is_late === null) return { error: 'is_late deve ser true ou false' };
+    if (filters.has_pending_items === null) return { error: 'has_pending_items deve ser true ou false' };
+    if (filters.created_from === null) return { error: 'created_from não é uma data válida' };
+    if (filters.created_to === null) return { error: 'created_to não é uma data válida' };
+
+    const sortField = first(query.sort) || 'urgency';
+    if (!SORT_FIELDS.includes(sortField)) {
+        return { error: `sort deve ser um de: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    const sortOrder = (first(query.order) || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(sortOrder)) {
+        return { error: 'order deve ser asc ou desc' };
+    }
+
+    // Sem limit/page/cursor a lista inteira é retornada (comportamento antigo)
+    const rawLimit = first(query.limit);
+    const rawPage = first(query.page);
+    const rawCursor = first(query.cursor);
+    let pagination = null;
+
+    if (rawLimit !== undefined || rawPage !== undefined || rawCursor !== undefined) {
+        const limit = rawLimit !== undefined ? parseInt(rawLimit) : DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { error: `limit deve estar entre 1 e ${MAX_LIMIT}` };
+        }
+
+        let offset = 0;
+        if (rawCursor !== undefined) {
+            offset = decodeCursor(rawCursor);
+            if (offset === null) return { error: 'cursor inválido' };
+        } else if (rawPage !== undefined) {
+            const page = parseInt(rawPage);
+            if (!Number.isInteger(page) || page < 1) return { error: 'page deve ser um número maior que zero' };
+            offset = (page - 1) * limit;
+        }
+
+        pagination = { limit, offset, mode: rawCursor !== undefined ? 'cursor' : 'page' };
+    }
+
+    return {
+        params: {
+            filters,
+            sort: { field: sortField, order: sortOrder },
+            pagination
+        }
+    };
+}
+
+// Algum filtro foi informado (listas e textos vazios e booleanos/datas ausentes não contam)
+export function hasActiveFilters(filters = {}) {
+    return Object.values(filters).some(value => {
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'string') return value !== '';
+        return value !== undefined && value !== null;
+    });
+}
+
+// Tags da Shopify vêm como "a, b, c"
+const orderTags = (order) => (order.tags || '')
+    .split(',')
+    .map(t => t.trim().toLowerCase())
+    .filter(Boolean);
+
+const orderEmail = (order) => (order.email || order.customer?.email || '').toLowerCase();
+
+// Aplicar filtros sobre pedidos já enriquecidos
+export function filterOrders(orders, filters) {
+    return orders.filter(order => {
+        if (filters.urgency_level.length > 0 && !filters.urgency_level.includes(order.urgency_level)) return false;
+        if (filters.prazo_status.length > 0 && !filters.prazo_status.includes(order.prazo_status)) return false;
+        if (filters.has_tracking !== undefined && order.has_tracking !== filters.has_tracking) return false;
+        if (filters.is_late !== undefined && order.is_late !== filters.is_late) return false;
+        if (filters.shipping_status.length > 0 && !filters.shipping_status.includes(order.shipping_status)) return false;
+        if (filters.has_pending_items !== undefined && order.has_pending_items !== filters.has_pending_items) return false;
+
+        if (filters.tags.length > 0) {
+            const tags = orderTags(order);
+            if (!filters.tags.some(tag => tags.includes(tag))) return false;
+        }
+
+        if (filters.email && orderEmail(order) !== filters.email) return false;
+
+        if (filters.created_from || filters.created_to) {
+            const created = new Date(order.created_at);
+            if (filters.created_from && created < filters.created_from) return false;
+            if (filters.created_to && created > filters.created_to) return false;
+        }
+
+        if (filters.search && !(order.name || '').toLowerCase().includes(filters.search)) return false;
+
+        return true;
+    });
+}
+
+// Ordenação padrão: urgência e depois dias
+const compareUrgency = (a, b) => {
+    const urgencyDiff = (URGENCY_ORDER[a.urgency_level] || 0) - (URGENCY_ORDER[b.urgency_level] || 0);
+    if (urgencyDiff !== 0) return urgencyDiff;
+    return a.days_since_order - b.days_since_order;
+};
+
+const COMPARATORS = {
+    urgency: compareUrgency,
+    days_since_order: (a, b) => a.days_since_order - b.days_since_order,
+    created_at: (a, b) => new Date(a.created_at) - new Date(b.created_at),
+    updated_at: (a, b) => new Date(a.updated_at || a.created_at) - new Date(b.updated_at || b.created_at),
+    name: (a, b) => (a.name || '').localeCompare(b.name || '', 'pt-BR', { numeric: true }),
+    total_price: (a, b) => parseFloat(a.total_price || 0) - parseFloat(b.total_price || 0)
+};
+
+export function sortOrders(orders, sort = { field: 'urgency', order: 'desc' }) {
+    const compare = COMPARATORS[sort.field] || compareUrgency;
+    const direction = sort.order === 'asc' ? 1 : -1;
+    // Desempate estável pelo id para a paginação não repetir pedidos
+    return [...orders].sort((a, b) => direction * compare(a, b) || String(a.id).localeCompare(String(b.id)));
+}
+
+// Recortar a página pedida
+export function paginateOrders(orders, pagination) {
+    if (!pagination) {
+        return { items: orders, pagination: null };
+    }
+
+    const { limit, offset, mode } = pagination;
+    const items = orders.slice(offset, offset + limit);
+    const hasMore = offset + limit < orders.length;
+
+    return {
+        items,
+        pagination: {
+            mode,
+            limit,
+            offset,
+            page: Math.floor(offset / limit) + 1,
+            total_items: orders.length,
+            total_pages: Math.ceil(orders.length / limit),
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeCursor(offset + limit) : null,
+            prev_cursor: offset > 0 ? encodeCursor(Math.max(0, offset - limit)) : null
+        }
+    };
+}
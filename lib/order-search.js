@@ -0,0 +1,218 @@
+// order-search.js
+// Busca de pedidos pelo que o atendimento tem em mãos: número (#1234), e-mail, CPF/CNPJ,
+// telefone ou código de rastreio. Número e e-mail vão direto aos filtros do orders.json;
+// CPF, telefone e rastreio não são filtráveis na Shopify e são procurados na cópia local
+// (lib/order-store.js) e, se nada aparecer lá, nos pedidos da janela
+
+import { ShopifyNotFoundError } from './shopify-client.js';
+import { REST_ORDER_FIELDS, fetchOrders } from './order-fetch.js';
+import { listStoredOrders } from './order-store.js';
+import { collectOrderTracking, normalizeTrackingCode, parseTrackingCode } from './carriers.js';
+import { documentType, onlyDigits, orderDocuments } from './documents.js';
+import { enrichOrder, isOrderDelivered } from './order-pipeline.js';
+import { redactOrder } from './pii.js';
+
+export const SEARCH_TYPES = ['name', 'id', 'email', 'cpf', 'phone', 'tracking'];
+
+// Buscas que ligam um dado pessoal a um pedido (exigem papel com acesso a PII)
+export const PII_SEARCH_TYPES = ['email', 'cpf', 'phone'];
+
+// Campos extras do orders.json para comparar telefone e documento
+const SEARCH_ORDER_FIELDS = [...REST_ORDER_FIELDS, 'email', 'phone', 'note_attributes', 'billing_address'];
+
+// ============================
+// TIPO DA BUSCA
+// ============================
+
+const normalizeName = (value) => String(value || '').trim().replace(/^#/, '').toLowerCase();
+
+// Telefone sem formatação, DDI 55 e zero do DDD
+const phoneKey = (value) => {
+    let digits = onlyDigits(value);
+    if (digits.length >= 12 && digits.startsWith('55')) digits = digits.slice(2);
+    return digits.replace(/^0/, '');
+};
+
+const NORMALIZERS = {
+    name: (value) => `#${normalizeName(value)}`,
+    id: (value) => onlyDigits(value),
+    email: (value) => value.trim().toLowerCase(),
+    cpf: (value) => onlyDigits(value),
+    phone: (value) => phoneKey(value),
+    tracking: (value) => normalizeTrackingCode(value)
+};
+
+// Descobrir o tipo pelo formato. Retorna { type, value } ou { error }
+export function parseSearchQuery(raw, type = null) {
+    const query = String(raw ?? '').trim();
+
+    if (!query) {
+        return { error: 'Informe o termo da busca em q' };
+    }
+    if (type && !SEARCH_TYPES.includes(type)) {
+        return { error: `type deve ser um de: ${SEARCH_TYPES.join(', ')}` };
+    }
+
+    const detected = type || detectSearchType(query);
+    if (!detected) {
+        return { error: 'Não foi possível identificar o tipo da busca; informe type' };
+    }
+
+    const value = NORMALIZERS[detected](query);
+    if (!value || value === '#') {
+        return { error: `Valor inválido para busca por ${detected}` };
+    }
+
+    return { type: detected, value };
+}
+
+export function detectSearchType(query) {
+    if (query.includes('@')) return 'email';
+    if (query.startsWith('#')) return 'name';
+
+    // Só dígitos e separadores: documento, telefone, número ou ID do pedido
+    if (/^[\d\s.\-/()+]+$/.test(query)) {
+        const digits = onlyDigits(query);
+        if (/^[+(]/.test(query)) return 'phone';
+        if (documentType(digits)) return 'cpf';
+        if (digits.length <= 8) return 'name';
+        if (digits.length <= 11) return 'phone';
+        return 'id';
+    }
+
+    // Letras e dígitos: código de rastreio reconhecido (ex.: AA123456785BR, LP...)
+    const tracking = parseTrackingCode(query);
+    if (tracking.valid && /[A-Z]/.test(tracking.code) && /\d/.test(tracking.code)) return 'tracking';
+
+    return null;
+}
+
+// ============================
+// COMPARAÇÃO
+// ============================
+
+const MATCHERS = {
+    cpf: (order, value) => orderDocuments(order).includes(value),
+    phone: (order, value) => [
+        order.phone,
+        order.customer?.phone,
+        order.shipping_address?.phone,
+        order.billing_address?.phone
+    ].filter(Boolean).some(phone => phoneKey(phone) === value),
+    tracking: (order, value) => collectOrderTracking(order).some(tracking => tracking.code === value),
+    name: (order, value) => normalizeName(order.name) === normalizeName(value),
+    email: (order, value) => [order.email, order.customer?.email]
+        .filter(Boolean)
+        .some(email => email.toLowerCase() === value)
+};
+
+export function orderMatches(order, { type, value }) {
+    if (type === 'id') return String(order.id) === value;
+    return MATCHERS[type](order, value);
+}
+
+// ============================
+// BUSCA
+// ============================
+
+// Pedido pelo número (#1234). null se não existir
+export async function findOrderByName(shopify, name) {
+    const { orders } = await searchOrders(shopify, { type: 'name', value: NORMALIZERS.name(name) });
+    return orders[0] || null;
+}
+
+// Retorna { orders, source, truncated } (source: shopify_filter, local_copy ou shopify_scan)
+// store (lib/stores.js): cópia local da loja do cliente shopify
+export async function searchOrders(shopify, { type, value }, {
+    daysToFetch = 90,
+    maxPages = 15,
+    backend = 'rest',
+    limit = 20,
+    store = null,
+    now = new Date()
+} = {}) {
+    const newestFirst = (orders) => orders
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+
+    if (type === 'id') {
+        try {
+            const { data } = await shopify.get(`orders/${value}.json`);
+            return { orders: [data.order], source: 'shopify_filter', truncated: false };
+        } catch (error) {
+            if (error instanceof ShopifyNotFoundError) {
+                return { orders: [], source: 'shopify_filter', truncated: false };
+            }
+            throw error;
+        }
+    }
+
+    // Filtros do orders.json (a Shopify compara o nome por prefixo: confirmar aqui)
+    if (type === 'name' || type === 'email') {
+        const { data } = await shopify.get('orders.json', {
+            query: {
+                status: 'any',
+                limit: 50,
+                [type]: type === 'name' ? normalizeName(value) : value,
+                fields: SEARCH_ORDER_FIELDS
+            }
+        });
+        const orders = (data.orders || []).filter(order => orderMatches(order, { type, value }));
+        return { orders: newestFirst(orders), source: 'shopify_filter', truncated: false };
+    }
+
+    const local = (await listStoredOrders({ store })).filter(order => orderMatches(order, { type, value }));
+    if (local.length > 0) {
+        return { orders: newestFirst(local), source: 'local_copy', truncated: false };
+    }
+
+    console.log(`🔎 ${type} não encontrado na cópia local, procurando nos pedidos dos últimos ${daysToFetch} dias`);
+    const result = await fetchOrders(shopify, { backend, daysToFetch, maxPages, fields: SEARCH_ORDER_FIELDS, now });
+    const orders = result.orders.filter(order => orderMatches(order, { type, value }));
+
+    return { orders: newestFirst(orders), source: 'shopify_scan', truncated: result.truncated };
+}
+
+// ============================
+// CARTÕES
+// ============================
+
+// Resumo do pedido para a lista de resultados. Contato (nome, e-mail, telefone) só nos
+// perfis full e support, já mascarado no support (lib/pii.js)
+export function orderSummaryCard(order, { slaRules, matchedBy, profile = 'analytics', store = null, now = new Date() }) {
+    const delivered = isOrderDelivered(order, null, { now });
+    const enriched = enrichOrder(order, { now, slaRules });
+    const visible = redactOrder(order, profile);
+    const customerName = [visible.customer?.first_name, visible.customer?.last_name].filter(Boolean).join(' ')
+        || visible.shipping_address?.name
+        || null;
+
+    return {
+        id: order.id,
+        name: order.name,
+        created_at: order.created_at,
+        financial_status: order.financial_status,
+        fulfillment_status: order.fulfillment_status,
+        cancelled: Boolean(order.cancelled_at),
+        total_price: order.total_price,
+        currency: order.currency || 'BRL',
+        ...(profile === 'full' || profile === 'support' ? {
+            customer_name: customerName,
+            email: visible.email || visible.customer?.email || null,
+            phone: visible.phone || visible.shipping_address?.phone || visible.customer?.phone || null
+        } : {}),
+        destination: {
+            city: order.shipping_address?.city || null,
+            province_code: order.shipping_address?.province_code || null
+        },
+        status: order.cancelled_at ? 'cancelado' : delivered ? 'entregue' : enriched.prazo_status,
+        urgency_level: delivered || order.cancelled_at ? null : enriched.urgency_level,
+        is_late: delivered || order.cancelled_at ? false : enriched.is_late,
+        days_since_order: enriched.days_since_order,
+        tracking: enriched.all_tracking_numbers
+            .filter(tracking => tracking.valid)
+            .map(tracking => ({ code: tracking.code, carrier: tracking.carrier, url: tracking.url })),
+        matched_by: matchedBy,
+        details_url: `/api/order-details?orderId=${order.id}${store ? `&store=${store.id}` : ''}`
+    };
+}
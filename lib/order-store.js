@@ -0,0 +1,169 @@
+// order-store.js
+// Cópia local dos pedidos da Shopify, alimentada por webhooks e pela sincronização incremental
+// Cada registro guarda o pedido no formato da REST Admin API e de onde ele veio
+
+import { openCollection } from './storage.js';
+import { storeScopedName } from './stores.js';
+
+const ORDERS_COLLECTION = 'orders';
+const DELIVERIES_COLLECTION = 'webhook-deliveries';
+
+// Por quanto tempo lembrar de um X-Shopify-Webhook-Id já processado
+const DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Uma cópia por loja (lib/stores.js); sem loja, a coleção original
+const ordersCollection = (store = null) => openCollection(storeScopedName(ORDERS_COLLECTION, store));
+
+const isNewer = (incoming, stored) => {
+    if (!stored || !stored.updated_at || !incoming.updated_at) return true;
+    return new Date(incoming.updated_at) >= new Date(stored.updated_at);
+};
+
+export async function getStoredOrder(orderId, { store = null } = {}) {
+    const record = await ordersCollection(store).get(String(orderId));
+    return record ? record.order : null;
+}
+
+// Todos os pedidos completos (stubs criados só por fulfillment ficam de fora)
+export async function listStoredOrders({ store = null } = {}) {
+    const entries = await ordersCollection(store).entries();
+    return entries
+        .map(([, record]) => record)
+        .filter(record => !record.partial)
+        .map(record => record.order);
+}
+
+// Gravar pedido completo. Payloads mais antigos que o armazenado são ignorados
+export async function upsertOrder(order, { source = 'webhook', topic = null, store = null } = {}) {
+    const key = String(order.id);
+
+    return ordersCollection(store).update(data => {
+        const existing = data[key];
+
+        if (existing && !existing.partial && !isNewer(order, existing.order)) {
+            return { applied: false, reason: 'stale' };
+        }
+
+        // Fulfillments recebidos antes do pedido são preservados se o payload não os trouxer
+        const pendingFulfillments = existing && existing.partial ? existing.order.fulfillments || [] : [];
+        const fulfillments = order.fulfillments && order.fulfillments.length > 0
+            ? order.fulfillments
+            : pendingFulfillments;
+
+        data[key] = {
+            order: { ...order, fulfillments },
+            source,
+            topic,
+            partial: false,
+            received_at: new Date().toISOString()
+        };
+
+        return { applied: true };
+    });
+}
+
+// Aplicar um fulfillment (fulfillments/create e fulfillments/update) ao pedido armazenado
+export async function applyFulfillment(fulfillment, { source = 'webhook', topic = null, store = null } = {}) {
+    const key = String(fulfillment.order_id);
+
+    return ordersCollection(store).update(data => {
+        const existing = data[key];
+        const order = existing ? existing.order : { id: fulfillment.order_id, fulfillments: [] };
+        const fulfillments = [...(order.fulfillments || [])];
+        const index = fulfillments.findIndex(f => String(f.id) === String(fulfillment.id));
+
+        if (index >= 0) {
+            if (!isNewer(fulfillment, fulfillments[index])) {
+                return { applied: false, reason: 'stale' };
+            }
+            fulfillments[index] = { ...fulfillments[index], ...fulfillment };
+        } else {
+            fulfillments.push(fulfillment);
+        }
+
+        data[key] = {
+            order: { ...order, fulfillments },
+            source,
+            topic,
+            // Sem o pedido completo ainda: aguarda orders/create ou orders/updated
+            partial: existing ? existing.partial : true,
+            received_at: new Date().toISOString()
+        };
+
+        return { applied: true, partial: data[key].partial };
+    });
+}
+
+// Mesclar um lote de pedidos buscados na API (sincronização completa ou incremental)
+// replace: descarta os pedidos completos atuais antes de mesclar (resync completo)
+// evict: pedidos para os quais retorna true são removidos da cópia local
+export async function mergeOrders(orders, { source = 'sync', replace = false, evict = () => false, store = null } = {}) {
+    return ordersCollection(store).update(data => {
+        let changed = 0;
+        let evicted = 0;
+
+        if (replace) {
+            Object.keys(data).forEach(key => {
+                if (!data[key].partial) delete data[key];
+            });
+        }
+
+        orders.forEach(order => {
+            const key = String(order.id);
+            const existing = data[key];
+
+            if (existing && !existing.partial && !isNewer(order, existing.order)) return;
+
+            data[key] = {
+                order: existing && existing.partial && !(order.fulfillments || []).length
+                    ? { ...order, fulfillments: existing.order.fulfillments }
+                    : order,
+                source,
+                topic: null,
+                partial: false,
+                received_at: new Date().toISOString()
+            };
+            changed++;
+        });
+
+        Object.keys(data).forEach(key => {
+            if (!data[key].partial && evict(data[key].order)) {
+                delete data[key];
+                evicted++;
+            }
+        });
+
+        return { changed, evicted };
+    });
+}
+
+export async function removeStoredOrder(orderId, { store = null } = {}) {
+    return ordersCollection(store).delete(String(orderId));
+}
+
+// Deduplicação de entregas repetidas da Shopify (X-Shopify-Webhook-Id)
+// Verificar e registrar numa única atualização: reenvios simultâneos não passam os dois.
+// Retorna true se esta chamada ficou com a entrega, false se ela já foi recebida
+export async function claimDelivery(webhookId, topic) {
+    if (!webhookId) return true;
+    const now = Date.now();
+
+    return openCollection(DELIVERIES_COLLECTION).update(data => {
+        // Limpar entregas antigas para o arquivo não crescer sem limite
+        Object.entries(data).forEach(([id, delivery]) => {
+            if (now - new Date(delivery.received_at).getTime() > DELIVERY_TTL_MS) {
+                delete data[id];
+            }
+        });
+
+        if (data[webhookId]) return false;
+        data[webhookId] = { topic, received_at: new Date(now).toISOString() };
+        return true;
+    });
+}
+
+// Devolver a entrega que falhou, para o reenvio da Shopify ser processado
+export async function releaseDelivery(webhookId) {
+    if (!webhookId) return;
+    await openCollection(DELIVERIES_COLLECTION).delete(webhookId);
+}
@@ -0,0 +1,60 @@
+// order-stream.js
+// Resposta em streaming do shopify-proxy, escolhida pelo header Accept:
+// - application/x-ndjson: um JSON por linha ({ "type": "progress", ... })
+// - text/event-stream (SSE, EventSource): "event: progress" + "data: {...}"
+// Eventos: progress (uma página buscada), order (um pedido, na ordem da lista),
+// stats (estatísticas, paginação e metadata; último evento) e error
+// Cliente que desconecta (aba fechada, EventSource cancelado) fecha o stream: closed
+// avisa quem está buscando para parar, e os eventos seguintes são descartados
+
+export const STREAM_FORMATS = {
+    ndjson: 'application/x-ndjson',
+    sse: 'text/event-stream'
+};
+
+// Formato pedido no Accept ou null (JSON de sempre)
+export function streamFormatFor(accept) {
+    const types = String(accept || '')
+        .split(',')
+        .map(type => type.split(';')[0].trim().toLowerCase());
+
+    return Object.keys(STREAM_FORMATS).find(format => types.includes(STREAM_FORMATS[format])) || null;
+}
+
+// Abrir o stream: headers enviados na hora, eventos escritos conforme chegam
+export function openOrderStream(res, format) {
+    res.setHeader('Content-Type', `${STREAM_FORMATS[format]}; charset=utf-8`);
+    // Sem cache nem buffer de proxy reverso: cada evento tem que chegar ao navegador
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.status(200);
+    if (typeof res.flushHeaders === 'function') {
+        res.flushHeaders();
+    }
+
+    let closed = false;
+
+    // 'close' da resposta: conexão encerrada pelo cliente (ou depois do end)
+    res.on('close', () => {
+        closed = true;
+    });
+
+    const send = (type, payload = {}) => {
+        if (closed) return;
+        const data = JSON.stringify({ type, ...payload });
+        res.write(format === 'sse' ? `event: ${type}\ndata: ${data}\n\n` : `${data}\n`);
+    };
+
+    return {
+        format,
+        send,
+        get closed() {
+            return closed;
+        },
+        end: () => {
+            if (closed) return;
+            closed = true;
+            res.end();
+        }
+    };
+}
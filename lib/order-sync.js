@@ -0,0 +1,52 @@
+// order-sync.js
+// Sincronização incremental de pedidos via updated_at_min
+// Guarda o último updated_at visto (watermark) e quando foi o último resync completo
+
+import { openCollection } from './storage.js';
+import { storeScopedName } from './stores.js';
+
+const STATE_COLLECTION = 'sync-state';
+const STATE_KEY = 'orders';
+
+export const SYNC_MODES = ['full', 'incremental'];
+
+// Pedidos que saem da cópia local
+export function isEvictable(order) {
+    if (order.cancelled_at) return true;
+    return ['refunded', 'voided'].includes(order.financial_status);
+}
+
+// Estado por loja (lib/stores.js); sem loja, a chave original
+export async function loadSyncState({ store = null } = {}) {
+    return (await openCollection(STATE_COLLECTION).get(storeScopedName(STATE_KEY, store))) || {};
+}
+
+export async function saveSyncState(state, { store = null } = {}) {
+    return openCollection(STATE_COLLECTION).set(storeScopedName(STATE_KEY, store), state);
+}
+
+// Decidir entre sincronização completa e incremental
+export function resolveSyncMode(requested, state, { fullResyncHours = 24, now = new Date() } = {}) {
+    if (requested === 'full') {
+        return { mode: 'full', reason: 'solicitado' };
+    }
+    if (!state.watermark || !state.last_full_sync_at) {
+        return { mode: 'full', reason: 'sem_cursor' };
+    }
+
+    const hoursSinceFull = (now - new Date(state.last_full_sync_at)) / (1000 * 60 * 60);
+    if (hoursSinceFull >= fullResyncHours) {
+        return { mode: 'full', reason: 'resync_periodico' };
+    }
+
+    return { mode: 'incremental', reason: 'cursor' };
+}
+
+// Maior updated_at entre os pedidos recebidos (ou o atual, se nada mudou)
+export function nextWatermark(orders, current = null) {
+    return orders.reduce((latest, order) => {
+        if (!order.updated_at) return latest;
+        if (!latest || new Date(order.updated_at) > new Date(latest)) return order.updated_at;
+        return latest;
+    }, current);
+}
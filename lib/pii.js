@@ -0,0 +1,260 @@
+// pii.js
+// Redação de dados pessoais (LGPD) por perfil, aplicada no shopify-proxy, no order-details
+// e nos cartões do order-search. Funciona tanto no formato da lista quanto no do order-details
+//
+// Perfis, do mais aberto ao mais restrito:
+// - full: pedido sem alteração (todo acesso fica no log de auditoria, ver auditPiiAccess)
+// - support: e-mail, telefone e CPF/CNPJ mascarados, nome do cliente mantido
+// - analytics: sem dados de contato, cliente, notas nem documentos
+// - public: analytics sem dados internos (tags, origem, conta AliExpress, propriedades dos itens)
+// Em todos, menos full: IP, tokens, link de status e geolocalização saem e do endereço
+// ficam só cidade e UF
+
+import { documentType, onlyDigits } from './documents.js';
+import { openCollection } from './storage.js';
+import { localDateKey, addDays } from './business-calendar.js';
+
+export const REDACTION_PROFILES = ['full', 'support', 'analytics', 'public'];
+
+// Perfil padrão e o mais aberto permitido por papel (?profile= só pode restringir)
+const ROLE_PROFILES = {
+    viewer: { default: 'analytics', max: 'analytics' },
+    operator: { default: 'support', max: 'full' },
+    admin: { default: 'support', max: 'full' }
+};
+
+const DEFAULT_AUDIT_RETENTION_DAYS = 365;
+
+// No log de auditoria, acima disso fica só a contagem de pedidos
+const MAX_AUDITED_ORDER_IDS = 200;
+
+// Campos que dão acesso ao pedido ou identificam o aparelho do cliente
+const ACCESS_FIELDS = ['browser_ip', 'client_details', 'cart_token', 'checkout_token', 'order_status_url'];
+
+// Contato e texto livre escrito pelo cliente
+const CONTACT_FIELDS = ['email', 'contact_email', 'phone', 'customer', 'note', 'note_attributes'];
+
+// Dados internos da loja, fora do perfil public
+const INTERNAL_FIELDS = [
+    'tags',
+    'landing_site',
+    'referring_site',
+    'source_identifier',
+    'source_url',
+    'checkout_id',
+    'discount_codes',
+    'discount_applications',
+    'aliexpress',
+    'additional_info'
+];
+
+// ============================
+// MÁSCARAS
+// ============================
+
+// Trocar por * os dígitos do valor cujo índice (entre os dígitos) não passa em keep
+const maskDigits = (value, keep) => {
+    let index = 0;
+    return String(value).replace(/\d/g, digit => (keep(index++) ? digit : '*'));
+};
+
+// joao.silva@gmail.com -> jo***@gmail.com
+export function maskEmail(value) {
+    if (!value) return value;
+    const [local, domain] = String(value).split('@');
+    if (!domain) return '***';
+    return `${local.slice(0, local.length > 2 ? 2 : 1)}***@${domain}`;
+}
+
+// (11) 98888-7777 -> (**) *****-7777
+export function maskPhone(value) {
+    if (!value) return value;
+    const total = onlyDigits(value).length;
+    return maskDigits(value, index => index >= total - 4);
+}
+
+// 529.982.247-25 -> ***.982.247-** e 11.222.333/0001-81 -> **.222.333/****-**
+export function maskDocument(value) {
+    if (!value) return value;
+    const type = documentType(value);
+    if (type === 'cpf') return maskDigits(value, index => index >= 3 && index <= 8);
+    if (type === 'cnpj') return maskDigits(value, index => index >= 2 && index <= 7);
+    return maskDigits(value, () => false);
+}
+
+const EMAIL_PATTERN = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[^\s@<>()"',;:]+/g;
+const NUMBER_PATTERN = /\+?\(?\d[\d.\-/() ]{7,}\d/g;
+
+// Texto livre (nota, note_attributes, company): e-mails, documentos e telefones mascarados
+export function maskText(value) {
+    if (typeof value !== 'string' || !value) return value;
+
+    return value
+        .replace(EMAIL_PATTERN, maskEmail)
+        .replace(NUMBER_PATTERN, match => {
+            const digits = onlyDigits(match);
+            if (documentType(digits)) return maskDocument(match);
+            if (digits.length >= 10 && digits.length <= 13) return maskPhone(match);
+            return match;
+        });
+}
+
+// ============================
+// REDAÇÃO
+// ============================
+
+// Do endereço só ficam cidade e UF (sem CEP, rua, telefone e coordenadas)
+const redactAddress = (address) => address ? {
+    city: address.city || '',
+    province: address.province || '',
+    province_code: address.province_code || '',
+    country_code: address.country_code || ''
+} : address;
+
+const maskCustomer = (customer) => customer ? {
+    ...customer,
+    email: maskEmail(customer.email),
+    phone: maskPhone(customer.phone),
+    note: maskText(customer.note),
+    ...(customer.default_address ? { default_address: redactAddress(customer.default_address) } : {})
+} : customer;
+
+// Aplicar o perfil a um pedido (formato da lista ou do order-details)
+export function redactOrder(order, profile = 'analytics') {
+    if (!order || typeof order !== 'object' || profile === 'full') return order;
+    if (!REDACTION_PROFILES.includes(profile)) {
+        throw new Error(`Perfil de redação desconhecido: ${profile}`);
+    }
+
+    const redacted = { ...order };
+    ACCESS_FIELDS.forEach(field => { delete redacted[field]; });
+
+    // Link de status do pedido dá acesso aos dados do cliente
+    if (redacted.additional_info) {
+        const { order_status_url, ...additionalInfo } = redacted.additional_info;
+        redacted.additional_info = additionalInfo;
+    }
+
+    if ('shipping_address' in redacted) {
+        redacted.shipping_address = redactAddress(redacted.shipping_address);
+    }
+
+    if (profile === 'support') {
+        if ('billing_address' in redacted) redacted.billing_address = redactAddress(redacted.billing_address);
+        if (redacted.email) redacted.email = maskEmail(redacted.email);
+        if (redacted.contact_email) redacted.contact_email = maskEmail(redacted.contact_email);
+        if (redacted.phone) redacted.phone = maskPhone(redacted.phone);
+        if (redacted.customer) redacted.customer = maskCustomer(redacted.customer);
+        if (redacted.note) redacted.note = maskText(redacted.note);
+        if (Array.isArray(redacted.note_attributes)) {
+            redacted.note_attributes = redacted.note_attributes.map(attr => ({ ...attr, value: maskText(attr.value) }));
+        }
+    } else {
+        delete redacted.billing_address;
+        CONTACT_FIELDS.forEach(field => { delete redacted[field]; });
+    }
+
+    // Notas escritas pelo cliente na devolução (order-details)
+    if (Array.isArray(redacted.returns)) {
+        redacted.returns = redacted.returns.map(ret => ({
+            ...ret,
+            line_items: (ret.line_items || []).map(({ customer_note, reason_note, ...item }) => (
+                profile === 'support' ?
+                    { ...item, customer_note: maskText(customer_note), reason_note: maskText(reason_note) } :
+                    item
+            ))
+        }));
+    }
+
+    if (profile === 'public') {
+        INTERNAL_FIELDS.forEach(field => { delete redacted[field]; });
+        if (Array.isArray(redacted.line_items)) {
+            redacted.line_items = redacted.line_items.map(({ properties, ...item }) => item);
+        }
+    }
+
+    redacted.pii_redacted = true;
+    redacted.redaction_profile = profile;
+    return redacted;
+}
+
+// ============================
+// PERFIL POR PAPEL
+// ============================
+
+const profileRank = (profile) => REDACTION_PROFILES.indexOf(profile);
+
+// Perfil efetivo de quem chama. Retorna { profile } ou { status, error, message }
+export function resolveRedactionProfile(principal, requested = null) {
+    const allowed = ROLE_PROFILES[principal?.role] || ROLE_PROFILES.viewer;
+
+    if (!requested) {
+        return { profile: allowed.default };
+    }
+
+    if (!REDACTION_PROFILES.includes(requested)) {
+        return {
+            status: 400,
+            error: 'Parâmetros inválidos',
+            message: `profile deve ser um de: ${REDACTION_PROFILES.join(', ')}`
+        };
+    }
+
+    if (profileRank(requested) < profileRank(allowed.max)) {
+        return {
+            status: 403,
+            error: 'Acesso negado',
+            message: `Papel ${principal.role} permite no máximo o perfil ${allowed.max}`
+        };
+    }
+
+    return { profile: requested };
+}
+
+// ============================
+// AUDITORIA
+// ============================
+
+// Um registro por dia (chave YYYY-MM-DD, horário de São Paulo) com a lista de acessos
+const auditCollection = () => openCollection('pii-audit');
+
+const clientIp = (req) => String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim()
+    || req.socket?.remoteAddress
+    || null;
+
+// Registrar que dados sem máscara foram servidos. Só o perfil full é auditado; falha
+// ao gravar não derruba a resposta
+export async function auditPiiAccess(req, principal, { route, profile, orderIds = [], now = new Date() }) {
+    if (profile !== 'full') return null;
+
+    const entry = {
+        at: now.toISOString(),
+        principal: principal.id,
+        principal_type: principal.type,
+        role: principal.role,
+        route,
+        profile,
+        ip: clientIp(req),
+        order_count: orderIds.length,
+        order_ids: orderIds.slice(0, MAX_AUDITED_ORDER_IDS).map(String)
+    };
+
+    console.log(`🔐 Dados pessoais sem máscara: ${entry.principal} (${entry.role}) em ${route}, ${entry.order_count} pedido(s)`);
+
+    try {
+        const retentionDays = parseInt(process.env.PII_AUDIT_RETENTION_DAYS || String(DEFAULT_AUDIT_RETENTION_DAYS));
+        const day = localDateKey(now);
+        const oldestKept = addDays(day, -retentionDays);
+
+        await auditCollection().update(data => {
+            data[day] = [...(data[day] || []), entry];
+            Object.keys(data)
+                .filter(key => key < oldestKept)
+                .forEach(key => { delete data[key]; });
+        });
+    } catch (error) {
+        console.error('⚠️ Falha ao gravar auditoria de dados pessoais:', error.message);
+    }
+
+    return entry;
+}
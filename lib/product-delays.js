@@ -0,0 +1,158 @@
+// product-delays.js
+// Atrasos por produto e fornecedor: pedidos ativos e entregues recentemente, item a item
+// Mostra para compras quais SKUs, produtos e fornecedores (AliExpress) estouram os prazos
+// Usado pelo api/product-delays.js
+
+import { evaluateSla } from './sla-rules.js';
+import { calendarDaysSince, businessDaysSince } from './business-calendar.js';
+import { analyzeLineItems, isShippable } from './line-items.js';
+import { deliveredAt, daysBetween } from './delivery-analytics.js';
+
+export const PRODUCT_GROUPS = ['sku', 'product_id', 'vendor'];
+
+// Campos aceitos em ?rank_by= (nulos vão para o fim em qualquer ordem)
+export const RANK_FIELDS = ['late_items', 'late_rate', 'backlog', 'avg_days_to_tracking', 'avg_days_to_delivery', 'items'];
+
+// Chave e descrição de cada agrupamento
+const GROUP_KEYS = {
+    sku: (item) => ({ key: item.sku || 'sem_sku', label: item.title || null }),
+    product_id: (item) => ({ key: item.product_id ? String(item.product_id) : 'sem_produto', label: item.title || null }),
+    vendor: (item) => ({ key: item.vendor || 'sem_fornecedor', label: null })
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const average = (values) => {
+    const valid = values.filter(v => v !== null && Number.isFinite(v));
+    return valid.length > 0 ? round(valid.reduce((sum, v) => sum + v, 0) / valid.length) : null;
+};
+
+// ============================
+// ITENS
+// ============================
+
+// Itens de um pedido ativo (já enriquecido pelo pipeline, com a análise por item)
+const activeEntries = (order, { dayType, state }) => order.line_items
+    .filter(item => isShippable(item) && item.shipping_status)
+    .map(item => ({
+        item,
+        status: 'active',
+        is_late: item.is_late,
+        pending_quantity: item.pending_quantity,
+        days_waiting: item.pending_quantity > 0 ? item.days_waiting : null,
+        days_to_tracking: item.tracking_number ? daysBetween(order.created_at, item.shipped_at, { dayType, state }) : null,
+        days_to_delivery: null
+    }));
+
+// Itens de um pedido entregue. Atrasado: a entrega passou do prazo do item
+const deliveredEntries = (order, { delivery, slaRules, now, dayType, state }) => {
+    const deliveredDate = delivery ? new Date(delivery.date) : null;
+
+    return analyzeLineItems(order, { now, slaRules }).line_items
+        .filter(isShippable)
+        .map(item => {
+            const sla = deliveredDate ? evaluateSla({ ...order, line_items: [item] }, {
+                calendarDays: calendarDaysSince(order.created_at, deliveredDate),
+                businessDays: businessDaysSince(order.created_at, deliveredDate, { state: slaRules.calendar.state }),
+                hasTracking: true,
+                ruleSet: slaRules
+            }) : null;
+
+            return {
+                item,
+                status: 'delivered',
+                is_late: sla ? sla.is_late : false,
+                pending_quantity: 0,
+                days_waiting: null,
+                days_to_tracking: item.tracking_number ? daysBetween(order.created_at, item.shipped_at, { dayType, state }) : null,
+                days_to_delivery: delivery ? daysBetween(order.created_at, delivery.date, { dayType, state }) : null
+            };
+        });
+};
+
+// ============================
+// AGRUPAMENTO
+// ============================
+
+const groupStats = (key, label, entries) => {
+    const late = entries.filter(e => e.is_late).length;
+    const backlog = entries.filter(e => e.pending_quantity > 0);
+
+    return {
+        key,
+        label,
+        items: entries.length,
+        active_items: entries.filter(e => e.status === 'active').length,
+        delivered_items: entries.filter(e => e.status === 'delivered').length,
+        late_items: late,
+        late_rate: entries.length > 0 ? round((late / entries.length) * 100) : 0,
+        avg_days_to_tracking: average(entries.map(e => e.days_to_tracking)),
+        avg_days_to_delivery: average(entries.map(e => e.days_to_delivery)),
+        // Ainda a enviar: quantidade, pedidos e o pedido mais antigo esperando
+        backlog: backlog.reduce((total, e) => total + e.pending_quantity, 0),
+        backlog_orders: backlog.length,
+        oldest_pending_days: backlog.length > 0 ? Math.max(...backlog.map(e => e.days_waiting)) : null
+    };
+};
+
+// Comparação pelo campo do ranking, com nulos por último e desempate por atrasos e volume
+const compareGroups = (field, direction) => (a, b) => {
+    if (a[field] === null && b[field] !== null) return 1;
+    if (b[field] === null && a[field] !== null) return -1;
+    const diff = (a[field] ?? 0) - (b[field] ?? 0);
+    return (direction === 'asc' ? diff : -diff) || b.late_items - a.late_items || b.items - a.items;
+};
+
+// Analisar atrasos por produto. activeOrders: pedidos enriquecidos pelo pipeline;
+// deliveredOrders: entregues da busca (só os entregues nos últimos deliveredDays entram)
+export function analyzeProductDelays({
+    activeOrders = [],
+    deliveredOrders = [],
+    checkpoints = new Map(),
+    slaRules,
+    groupBy = PRODUCT_GROUPS,
+    deliveredDays = 30,
+    dayType = 'calendar',
+    rankBy = 'late_items',
+    direction = 'desc',
+    minGroupSize = 1,
+    top = 20,
+    now = new Date()
+}) {
+    const state = slaRules.calendar.state;
+    const deliveredSince = new Date(now.getTime() - deliveredDays * 24 * 60 * 60 * 1000);
+
+    // Entregues sem data (tag ou nota) contam pela última atualização do pedido
+    const recentDelivered = deliveredOrders
+        .map(order => ({ order, delivery: deliveredAt(order, checkpoints.get(order.id)) }))
+        .filter(({ order, delivery }) => new Date(delivery?.date || order.updated_at || order.created_at) >= deliveredSince);
+
+    const entries = [
+        ...activeOrders.flatMap(order => activeEntries(order, { dayType, state })),
+        ...recentDelivered.flatMap(({ order, delivery }) => deliveredEntries(order, { delivery, slaRules, now, dayType, state }))
+    ];
+
+    const groups = {};
+    groupBy.forEach(group => {
+        const byKey = new Map();
+        entries.forEach(entry => {
+            const { key, label } = GROUP_KEYS[group](entry.item);
+            if (!byKey.has(key)) byKey.set(key, { label, entries: [] });
+            byKey.get(key).entries.push(entry);
+        });
+
+        groups[group] = Array.from(byKey.entries())
+            .filter(([, { entries: list }]) => list.length >= minGroupSize)
+            .map(([key, { label, entries: list }]) => groupStats(key, label, list))
+            .sort(compareGroups(rankBy, direction))
+            .slice(0, top);
+    });
+
+    return {
+        active_orders: activeOrders.length,
+        delivered_orders: recentDelivered.length,
+        line_items: entries.length,
+        late_items: entries.filter(e => e.is_late).length,
+        groups
+    };
+}
@@ -0,0 +1,113 @@
+// regions.js
+// Destino dos pedidos (UF e faixa de CEP) e atrasos por região
+// Base para regras de SLA por estado e para a escolha de transportadora por região
+// Usado pelo pipeline (campos de cada pedido) e pelo shopify-proxy (stats.by_region)
+
+import { onlyDigits } from './documents.js';
+import { deliveredAt, daysBetween, summarize } from './delivery-analytics.js';
+
+// Faixas de CEP por UF (início e fim dos 5 primeiros dígitos), para pedidos sem province_code
+const CEP_RANGES = [
+    ['SP', 1000, 19999], ['RJ', 20000, 28999], ['ES', 29000, 29999], ['MG', 30000, 39999],
+    ['BA', 40000, 48999], ['SE', 49000, 49999], ['PE', 50000, 56999], ['AL', 57000, 57999],
+    ['PB', 58000, 58999], ['RN', 59000, 59999], ['CE', 60000, 63999], ['PI', 64000, 64999],
+    ['MA', 65000, 65999], ['PA', 66000, 68899], ['AP', 68900, 68999], ['AM', 69000, 69299],
+    ['RR', 69300, 69399], ['AM', 69400, 69899], ['AC', 69900, 69999], ['DF', 70000, 72799],
+    ['GO', 72800, 72999], ['DF', 73000, 73699], ['GO', 73700, 76799], ['RO', 76800, 76999],
+    ['TO', 77000, 77999], ['MT', 78000, 78899], ['MS', 79000, 79999], ['PR', 80000, 87999],
+    ['SC', 88000, 89999], ['RS', 90000, 99999]
+];
+
+// Tamanho do prefixo de CEP exposto em cada pedido (setor dos Correios) e do agrupamento
+// (sub-região). Prefixos curtos não identificam o endereço e valem em qualquer perfil de redação
+const CEP_PREFIX_DIGITS = 3;
+const CEP_REGION_DIGITS = 2;
+
+// CEP com 8 dígitos ou null
+export function normalizeCep(zip) {
+    const digits = onlyDigits(zip || '');
+    return digits.length === 8 ? digits : null;
+}
+
+export function stateFromCep(cep) {
+    const normalized = normalizeCep(cep);
+    if (!normalized) return null;
+    const prefix = parseInt(normalized.slice(0, 5));
+    return CEP_RANGES.find(([, start, end]) => prefix >= start && prefix <= end)?.[0] || null;
+}
+
+// Destino do pedido: { state, cep_prefix, cep_region }
+export function destinationOf(order) {
+    const address = order.shipping_address || {};
+    const cep = normalizeCep(address.zip);
+    const province = String(address.province_code || '').trim().toUpperCase().replace(/^BR-/, '');
+
+    return {
+        state: /^[A-Z]{2}$/.test(province) ? province : stateFromCep(cep),
+        cep_prefix: cep ? cep.slice(0, CEP_PREFIX_DIGITS) : null,
+        cep_region: cep ? cep.slice(0, CEP_REGION_DIGITS) : null
+    };
+}
+
+// Faixa de CEP de uma sub-região: "01" -> "01000-000 a 01999-999"
+export const cepRegionRange = (region) =>
+    `${region.padEnd(5, '0')}-000 a ${region.padEnd(5, '9')}-999`;
+
+// ============================
+// ATRASOS POR REGIÃO
+// ============================
+
+const regionStats = (active, delivered) => {
+    const late = active.filter(order => order.is_late).length;
+    const leadTimes = summarize(delivered.map(entry => entry.lead_time));
+
+    return {
+        active_orders: active.length,
+        late_orders: late,
+        late_percentage: active.length > 0 ? ((late / active.length) * 100).toFixed(1) : '0.0',
+        // Pendentes de envio (nenhum item ou só parte enviada)
+        backlog: active.filter(order => order.has_pending_items).length,
+        delivered_orders: delivered.length,
+        // Pedido -> entrega em dias corridos, só entregues com data conhecida
+        avg_lead_time: leadTimes.mean,
+        p90_lead_time: leadTimes.p90
+    };
+};
+
+const groupRegions = (activeOrders, deliveredEntries, keyOf) => {
+    const keys = new Set([...activeOrders.map(keyOf), ...deliveredEntries.map(keyOf)]);
+
+    return Array.from(keys)
+        .map(key => ({
+            key,
+            ...regionStats(
+                activeOrders.filter(order => keyOf(order) === key),
+                deliveredEntries.filter(entry => keyOf(entry) === key)
+            )
+        }))
+        .sort((a, b) => b.active_orders - a.active_orders || b.delivered_orders - a.delivered_orders);
+};
+
+// Atrasos por UF e por sub-região de CEP. activeOrders: enriquecidos pelo pipeline (com
+// destination_state e cep_region); deliveredOrders: entregues da mesma busca
+export function regionalBreakdown(activeOrders, deliveredOrders = [], { checkpoints = new Map() } = {}) {
+    const deliveredEntries = deliveredOrders
+        .map(order => {
+            const delivery = deliveredAt(order, checkpoints.get(order.id));
+            const destination = destinationOf(order);
+            return {
+                destination_state: destination.state,
+                cep_region: destination.cep_region,
+                lead_time: delivery ? daysBetween(order.created_at, delivery.date, { dayType: 'calendar' }) : null
+            };
+        });
+
+    return {
+        states: groupRegions(activeOrders, deliveredEntries, entry => entry.destination_state || 'sem_uf'),
+        cep_regions: groupRegions(activeOrders, deliveredEntries, entry => entry.cep_region || 'sem_cep')
+            .map(region => ({
+                ...region,
+                range: region.key === 'sem_cep' ? null : cepRegionRange(region.key)
+            }))
+    };
+}
@@ -0,0 +1,277 @@
+// returns.js
+// Reembolsos (REST orders/{id}/refunds.json) e devoluções (GraphQL Order.returns)
+// Usado pelo order-details (timeline e valores) e pelo pipeline (faixa "devolução em andamento")
+
+// ============================
+// CONSTANTES
+// ============================
+
+// Status da devolução no pedido (Order.returnStatus do GraphQL, em minúsculas)
+export const OPEN_RETURN_STATUSES = ['return_requested', 'in_progress'];
+
+// Tags usadas pela equipe para marcar devolução/troca no pedido (comparação exata)
+const RETURN_TAGS = ['devolucao', 'devolução', 'em devolução', 'em devolucao', 'troca'];
+
+// Motivos da devolução (ReturnReason do GraphQL)
+export const RETURN_REASONS = {
+    COLOR: 'Cor',
+    DEFECTIVE: 'Defeito',
+    NOT_AS_DESCRIBED: 'Diferente do anunciado',
+    OTHER: 'Outro',
+    SIZE_TOO_LARGE: 'Tamanho grande',
+    SIZE_TOO_SMALL: 'Tamanho pequeno',
+    STYLE: 'Estilo',
+    UNKNOWN: 'Não informado',
+    UNWANTED: 'Não quer mais',
+    WRONG_ITEM: 'Item errado'
+};
+
+const RETURNS_QUERY = `
+    query OrderReturns($id: ID!) {
+        order(id: $id) {
+            returnStatus
+            returns(first: 10) {
+                nodes {
+                    id
+                    name
+                    status
+                    createdAt
+                    closedAt
+                    totalQuantity
+                    returnLineItems(first: 50) {
+                        nodes {
+                            ... on ReturnLineItem {
+                                id
+                                quantity
+                                returnReason
+                                returnReasonNote
+                                customerNote
+                                fulfillmentLineItem { lineItem { id name sku } }
+                            }
+                        }
+                    }
+                    reverseFulfillmentOrders(first: 5) {
+                        nodes {
+                            status
+                            lineItems(first: 50) {
+                                nodes { totalQuantity dispositions { type quantity } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+const gidToId = (gid) => gid ? Number(String(gid).split('/').pop()) : null;
+const lower = (value) => value ? String(value).toLowerCase() : null;
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// ============================
+// BUSCA
+// ============================
+
+// Reembolsos do pedido. O orders/{id}.json já traz "refunds"; a rota própria vem completa
+// options vai para o cliente (ex.: { retries: 0 })
+export async function fetchOrderRefunds(shopify, orderId, options = {}) {
+    const { data } = await shopify.get(`orders/${orderId}/refunds.json`, options);
+    return data.refunds || [];
+}
+
+// Devoluções do pedido (só existem no GraphQL). Retorna { return_status, returns }
+export async function fetchOrderReturns(shopify, orderId, options = {}) {
+    const data = await shopify.graphql(RETURNS_QUERY, { id: `gid://shopify/Order/${orderId}` }, options);
+
+    return {
+        return_status: lower(data.order?.returnStatus),
+        returns: (data.order?.returns?.nodes || []).map(normalizeReturn)
+    };
+}
+
+const normalizeReturn = (node) => {
+    const reverseItems = (node.reverseFulfillmentOrders?.nodes || [])
+        .flatMap(order => order.lineItems?.nodes || []);
+    const receivedQuantity = reverseItems
+        .flatMap(item => item.dispositions || [])
+        .reduce((total, disposition) => total + (disposition.quantity || 0), 0);
+
+    return {
+        id: gidToId(node.id),
+        name: node.name,
+        status: lower(node.status),
+        requested_at: node.createdAt || null,
+        closed_at: node.closedAt || null,
+        total_quantity: node.totalQuantity || 0,
+        received_quantity: receivedQuantity,
+        line_items: (node.returnLineItems?.nodes || []).map(item => ({
+            line_item_id: gidToId(item.fulfillmentLineItem?.lineItem?.id),
+            name: item.fulfillmentLineItem?.lineItem?.name || null,
+            sku: item.fulfillmentLineItem?.lineItem?.sku || null,
+            quantity: item.quantity,
+            reason: item.returnReason || null,
+            reason_label: RETURN_REASONS[item.returnReason] || item.returnReason || null,
+            reason_note: item.returnReasonNote || null,
+            customer_note: item.customerNote || null
+        }))
+    };
+};
+
+// ============================
+// RESUMO
+// ============================
+
+// Valor devolvido ao cliente: transações de reembolso concluídas
+const refundAmount = (refund) => toAmount((refund.transactions || [])
+    .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+    .reduce((total, transaction) => total + parseFloat(transaction.amount || 0), 0));
+
+// Frete reembolsado (ajuste shipping_refund vem negativo)
+const shippingRefund = (refund) => toAmount(Math.abs((refund.order_adjustments || [])
+    .filter(adjustment => adjustment.kind === 'shipping_refund')
+    .reduce((total, adjustment) => total + parseFloat(adjustment.amount || 0), 0)));
+
+// Reembolsos no formato do order-details, com itens, valores e motivos
+export function summarizeRefunds(refunds, { currency = 'BRL' } = {}) {
+    const items = refunds
+        .map(refund => ({
+            id: refund.id,
+            created_at: refund.processed_at || refund.created_at,
+            amount: refundAmount(refund).toFixed(2),
+            shipping_amount: shippingRefund(refund).toFixed(2),
+            note: refund.note || null,
+            gateway: refund.transactions?.find(transaction => transaction.kind === 'refund')?.gateway || null,
+            restock: (refund.refund_line_items || []).some(item => item.restock_type && item.restock_type !== 'no_restock'),
+            line_items: (refund.refund_line_items || []).map(item => ({
+                line_item_id: item.line_item_id,
+                title: item.line_item?.title || item.line_item?.name || 'Produto',
+                sku: item.line_item?.sku || '',
+                quantity: item.quantity,
+                subtotal: toAmount(item.subtotal).toFixed(2),
+                restock_type: item.restock_type || 'no_restock'
+            })),
+            reasons: (refund.order_adjustments || [])
+                .map(adjustment => adjustment.reason)
+                .filter(Boolean)
+        }))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    // Quantidade reembolsada por item do pedido
+    const refundedByItem = new Map();
+    items.flatMap(refund => refund.line_items).forEach(item => {
+        const current = refundedByItem.get(item.line_item_id) || { ...item, quantity: 0, subtotal: '0.00' };
+        refundedByItem.set(item.line_item_id, {
+            ...current,
+            quantity: current.quantity + item.quantity,
+            subtotal: (parseFloat(current.subtotal) + parseFloat(item.subtotal)).toFixed(2)
+        });
+    });
+
+    return {
+        count: items.length,
+        currency,
+        total_refunded: toAmount(items.reduce((total, refund) => total + parseFloat(refund.amount), 0)).toFixed(2),
+        shipping_refunded: toAmount(items.reduce((total, refund) => total + parseFloat(refund.shipping_amount), 0)).toFixed(2),
+        refunded_line_items: Array.from(refundedByItem.values()),
+        reasons: Array.from(new Set(items.flatMap(refund => [refund.note, ...refund.reasons]).filter(Boolean))),
+        items
+    };
+}
+
+// ============================
+// TIMELINE
+// ============================
+
+const itemCount = (quantity) => `${quantity} ${quantity === 1 ? 'item' : 'itens'}`;
+
+// Eventos refund_issued, return_requested e return_received
+export function returnTimelineEvents(refundSummary, returns = [], { currency = 'BRL' } = {}) {
+    const events = [];
+
+    refundSummary.items.forEach(refund => {
+        const quantity = refund.line_items.reduce((total, item) => total + item.quantity, 0);
+        events.push({
+            type: 'refund_issued',
+            title: 'Reembolso emitido',
+            description: `Reembolso de ${refund.amount} ${currency}`
+                + (quantity > 0 ? ` (${itemCount(quantity)})` : '')
+                + (refund.note ? `: ${refund.note}` : ''),
+            date: refund.created_at,
+            status: 'completed',
+            refund_id: refund.id
+        });
+    });
+
+    returns.forEach(ret => {
+        const reasons = Array.from(new Set(ret.line_items.map(item => item.reason_label).filter(Boolean)));
+
+        if (ret.requested_at) {
+            events.push({
+                type: 'return_requested',
+                title: 'Devolução solicitada',
+                description: `Devolução${ret.name ? ` ${ret.name}` : ''} de ${itemCount(ret.total_quantity)}`
+                    + (reasons.length > 0 ? ` (${reasons.join(', ')})` : ''),
+                date: ret.requested_at,
+                status: ['declined', 'canceled'].includes(ret.status) ? 'cancelled' : 'completed',
+                return_id: ret.id
+            });
+        }
+
+        // Recebida: itens com destino definido no estoque ou devolução encerrada
+        if (ret.received_quantity > 0 || ret.status === 'closed') {
+            events.push({
+                type: 'return_received',
+                title: 'Devolução recebida',
+                description: `${itemCount(ret.received_quantity || ret.total_quantity)} de volta na loja`,
+                date: ret.closed_at || ret.requested_at,
+                status: ret.status === 'closed' ? 'completed' : 'in_progress',
+                return_id: ret.id
+            });
+        }
+    });
+
+    // Sem dados do GraphQL: reembolso com reestoque "return" indica item recebido de volta
+    if (returns.length === 0) {
+        refundSummary.items
+            .filter(refund => refund.line_items.some(item => item.restock_type === 'return'))
+            .forEach(refund => {
+                const quantity = refund.line_items
+                    .filter(item => item.restock_type === 'return')
+                    .reduce((total, item) => total + item.quantity, 0);
+                events.push({
+                    type: 'return_received',
+                    title: 'Devolução recebida',
+                    description: `${itemCount(quantity)} de volta na loja`,
+                    date: refund.created_at,
+                    status: 'completed',
+                    refund_id: refund.id
+                });
+            });
+    }
+
+    return events.filter(event => event.date);
+}
+
+// ============================
+// FAIXA DO PIPELINE
+// ============================
+
+const orderTags = (order) => (order.tags || '')
+    .split(',')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+// Devolução aberta: status do GraphQL (backend graphql/bulk) ou tag da equipe
+export function hasOpenReturn(order) {
+    if (OPEN_RETURN_STATUSES.includes(order.return_status)) return true;
+    return orderTags(order).some(tag => RETURN_TAGS.includes(tag));
+}
+
+// Situação de devolução/reembolso de um pedido da lista, ou null
+// return_requested/return_in_progress: devolução aberta; partially_refunded: reembolso parcial
+export function returnState(order) {
+    if (order.return_status === 'return_requested') return 'return_requested';
+    if (hasOpenReturn(order)) return 'return_in_progress';
+    if (order.financial_status === 'partially_refunded') return 'partially_refunded';
+    return null;
+}
@@ -0,0 +1,391 @@
+// shopify-client.js
+// Cliente da Admin API REST da Shopify compartilhado pelas rotas
+// Respeita o balde de chamadas (X-Shopify-Shop-Api-Call-Limit), espera o Retry-After,
+// repete erros transitórios com backoff exponencial e jitter e aplica timeout por requisição
+// Cada request()/graphql() tem um prazo total (deadlineMs) abaixo do maxDuration da Vercel (30s):
+// sem tempo para outra tentativa, o último erro é lançado
+//
+// GraphQL (graphql()) usa o custo calculado de extensions.cost em vez do balde REST
+//
+// SHOPIFY_API_BASE_URL troca o host (ex.: http://localhost:3999 para um servidor falso local)
+// SHOPIFY_MODE=record|replay grava ou reproduz as chamadas (ver shopify-transport.js)
+
+import { shopifyFetch } from './shopify-transport.js';
+
+export const DEFAULT_API_VERSION = '2024-01';
+
+// ============================
+// ERROS
+// ============================
+
+export class ShopifyError extends Error {
+    constructor(message, { status = null, method = null, path = null, body = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'ShopifyError';
+        this.status = status;
+        this.method = method;
+        this.path = path;
+        this.body = body;
+        this.retryable = retryable;
+    }
+}
+
+// 429 depois de esgotar as tentativas
+export class ShopifyRateLimitError extends ShopifyError {
+    constructor(message, { retryAfterMs = null, ...details } = {}) {
+        super(message, { ...details, status: 429, retryable: true });
+        this.name = 'ShopifyRateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// 401/403: token inválido ou sem escopo
+export class ShopifyAuthError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ShopifyAuthError';
+    }
+}
+
+export class ShopifyNotFoundError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, { ...details, status: 404 });
+        this.name = 'ShopifyNotFoundError';
+    }
+}
+
+// 5xx
+export class ShopifyServerError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'ShopifyServerError';
+    }
+}
+
+export class ShopifyTimeoutError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'ShopifyTimeoutError';
+    }
+}
+
+// Falha de rede (DNS, conexão recusada, reset)
+export class ShopifyNetworkError extends ShopifyError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'ShopifyNetworkError';
+    }
+}
+
+// Resposta GraphQL com "errors" (consulta inválida, campo sem permissão...)
+export class ShopifyGraphqlError extends ShopifyError {
+    constructor(message, { errors = [], ...details } = {}) {
+        super(message, details);
+        this.name = 'ShopifyGraphqlError';
+        this.errors = errors;
+    }
+}
+
+// Status HTTP desta API para um erro da Shopify (sem repassar 401/404 da Shopify como se fossem nossos)
+export function httpStatusForShopifyError(error) {
+    if (error instanceof ShopifyNotFoundError) return 404;
+    if (error instanceof ShopifyRateLimitError) return 503;
+    if (error instanceof ShopifyTimeoutError) return 504;
+    if (error instanceof ShopifyError) return 502;
+    return 500;
+}
+
+// ============================
+// BALDE DE CHAMADAS
+// ============================
+
+// Estado por loja, compartilhado entre requisições da mesma instância
+const buckets = new Map();
+const costBuckets = new Map();
+
+// "32/40" -> { used: 32, size: 40 }
+export function parseCallLimit(header) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(header || '').trim());
+    return match ? { used: parseInt(match[1]), size: parseInt(match[2]) } : null;
+}
+
+// Retry-After em segundos (pode ser fracionário) ou data HTTP
+export function parseRetryAfter(header, now = Date.now()) {
+    if (header === null || header === undefined || header === '') return null;
+    const seconds = parseFloat(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// page_info da próxima página no header Link
+export function parseNextPageInfo(linkHeader) {
+    if (!linkHeader) return null;
+    const matches = linkHeader.match(/<[^>]*page_info=([^>&]*)[^>]*>; rel="next"/);
+    return matches && matches[1] ? decodeURIComponent(matches[1]) : null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Backoff exponencial com "full jitter"
+const backoffDelay = (attempt, baseMs, maxMs) => Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+
+// ============================
+// CLIENTE
+// ============================
+
+export function createShopifyClient({
+    shopDomain = process.env.SHOP_DOMAIN || 'orne-decor-studio.myshopify.com',
+    accessToken = process.env.SHOPIFY_ACCESS_TOKEN,
+    apiVersion = process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    baseUrl = process.env.SHOPIFY_API_BASE_URL || `https://${shopDomain}`,
+    timeoutMs = parseInt(process.env.SHOPIFY_TIMEOUT_MS || '10000'),
+    maxRetries = parseInt(process.env.SHOPIFY_MAX_RETRIES || '3'),
+    retryBaseMs = 500,
+    retryMaxMs = 8000,
+    // Retry-After acima disso é encurtado (o prazo total decide se ainda dá para tentar)
+    maxRetryAfterMs = parseInt(process.env.SHOPIFY_MAX_RETRY_AFTER_MS || '10000'),
+    deadlineMs = parseInt(process.env.SHOPIFY_DEADLINE_MS || '25000'),
+    // Loja padrão: balde de 40 chamadas esvaziando 2 por segundo (Plus: 80 e 4)
+    bucketSize = 40,
+    leakPerSecond = parseFloat(process.env.SHOPIFY_LEAK_RATE || '2'),
+    // Chamadas livres mantidas no balde para outras rotas/instâncias
+    bucketReserve = 2,
+    fetchImpl = shopifyFetch
+} = {}) {
+    if (!buckets.has(shopDomain)) {
+        buckets.set(shopDomain, { used: 0, size: bucketSize, updatedAt: Date.now() });
+    }
+    const bucket = buckets.get(shopDomain);
+
+    if (!costBuckets.has(shopDomain)) {
+        costBuckets.set(shopDomain, { available: null, maximum: null, restoreRate: null, updatedAt: Date.now(), lastCost: 0 });
+    }
+    const costBucket = costBuckets.get(shopDomain);
+
+    const root = `${baseUrl.replace(/\/$/, '')}/admin/api/${apiVersion}/`;
+
+    // Esperar até caber mais uma chamada no balde
+    const acquireSlot = async (method, path, deadline) => {
+        for (;;) {
+            const now = Date.now();
+            const leaked = ((now - bucket.updatedAt) / 1000) * leakPerSecond;
+            bucket.used = Math.max(0, bucket.used - leaked);
+            bucket.updatedAt = now;
+
+            const capacity = Math.max(1, bucket.size - bucketReserve);
+            if (bucket.used + 1 <= capacity) {
+                bucket.used += 1;
+                return;
+            }
+
+            const waitMs = Math.ceil(((bucket.used + 1 - capacity) / leakPerSecond) * 1000);
+            if (now + waitMs >= deadline) {
+                throw new ShopifyRateLimitError('Balde da Shopify cheio e sem tempo para esperar', { method, path, retryAfterMs: waitMs });
+            }
+            console.log(`⏳ Balde da Shopify em ${Math.round(bucket.used)}/${bucket.size}, aguardando ${waitMs}ms`);
+            await sleep(waitMs);
+        }
+    };
+
+    // O header da Shopify é a fonte da verdade sobre o balde
+    const syncBucket = (headers) => {
+        const limit = parseCallLimit(headers.get('X-Shopify-Shop-Api-Call-Limit'));
+        if (limit) {
+            bucket.used = limit.used;
+            bucket.size = limit.size;
+            bucket.updatedAt = Date.now();
+        }
+        return limit;
+    };
+
+    const buildUrl = (path, query) => {
+        const url = new URL(path.replace(/^\//, ''), root);
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, Array.isArray(value) ? value.join(',') : String(value));
+            }
+        });
+        return url.toString();
+    };
+
+    // Uma tentativa: devolve a resposta ou lança um ShopifyError tipado
+    const attempt = async (method, path, url, body, paced, deadline) => {
+        if (paced) {
+            await acquireSlot(method, path, deadline);
+        }
+
+        // A última tentativa não passa do prazo total
+        const attemptTimeoutMs = Math.max(1, Math.min(timeoutMs, deadline - Date.now()));
+
+        let response;
+        try {
+            response = await fetchImpl(url, {
+                method,
+                headers: {
+                    'X-Shopify-Access-Token': accessToken,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(attemptTimeoutMs)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+                throw new ShopifyTimeoutError(`Shopify não respondeu em ${attemptTimeoutMs}ms`, { method, path });
+            }
+            throw new ShopifyNetworkError(`Falha de rede com a Shopify: ${error.message}`, { method, path });
+        }
+
+        const callLimit = paced ? syncBucket(response.headers) : null;
+
+        if (response.ok) {
+            const text = await response.text();
+            return {
+                status: response.status,
+                data: text ? JSON.parse(text) : null,
+                headers: response.headers,
+                callLimit,
+                nextPageInfo: parseNextPageInfo(response.headers.get('Link'))
+            };
+        }
+
+        const errorText = await response.text().catch(() => '');
+        const details = { status: response.status, method, path, body: errorText.slice(0, 500) };
+
+        if (response.status === 429) {
+            // Balde cheio: próxima chamada só depois do Retry-After
+            if (paced) {
+                bucket.used = bucket.size;
+                bucket.updatedAt = Date.now();
+            }
+            throw new ShopifyRateLimitError('Limite de chamadas da Shopify atingido', {
+                ...details,
+                retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+            });
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw new ShopifyAuthError(`Shopify recusou o token (${response.status})`, details);
+        }
+        if (response.status === 404) {
+            throw new ShopifyNotFoundError('Recurso não encontrado na Shopify', details);
+        }
+        if (response.status >= 500) {
+            throw new ShopifyServerError(`Shopify API erro: ${response.status}`, details);
+        }
+        throw new ShopifyError(`Shopify API erro: ${response.status}`, details);
+    };
+
+    // Requisição com novas tentativas. POST só é repetido em 429 (a Shopify não processou)
+    // deadline: instante (ms) em que a chamada desiste, inclusive das novas tentativas
+    const request = async (path, { method = 'GET', query, body, retries = maxRetries, idempotent = method !== 'POST', paced = true, deadline = Date.now() + deadlineMs } = {}) => {
+        const url = buildUrl(path, query);
+
+        for (let tries = 0; ; tries++) {
+            try {
+                return await attempt(method, path, url, body, paced, deadline);
+            } catch (error) {
+                const canRetry = error.retryable && tries < retries &&
+                    (idempotent || error instanceof ShopifyRateLimitError);
+
+                if (!canRetry) {
+                    console.error(`❌ Shopify ${method} ${path}: ${error.message}`);
+                    throw error;
+                }
+
+                const delay = error instanceof ShopifyRateLimitError && error.retryAfterMs !== null
+                    ? Math.min(error.retryAfterMs, maxRetryAfterMs) + backoffDelay(0, 250, 250)
+                    : backoffDelay(tries, retryBaseMs, retryMaxMs);
+
+                if (Date.now() + delay >= deadline) {
+                    console.error(`❌ Shopify ${method} ${path}: ${error.message}, sem tempo para nova tentativa`);
+                    throw error;
+                }
+
+                console.log(`🔁 Shopify ${method} ${path}: ${error.message}, tentativa ${tries + 2} em ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    };
+
+    // Esperar o custo da última consulta caber nos pontos disponíveis
+    const waitForCost = async (deadline) => {
+        if (costBucket.available === null || !costBucket.restoreRate) return;
+
+        const restored = ((Date.now() - costBucket.updatedAt) / 1000) * costBucket.restoreRate;
+        const available = Math.min(costBucket.maximum, costBucket.available + restored);
+        if (available >= costBucket.lastCost) return;
+
+        const waitMs = Math.ceil(((costBucket.lastCost - available) / costBucket.restoreRate) * 1000);
+        if (Date.now() + waitMs >= deadline) {
+            throw new ShopifyRateLimitError('Custo GraphQL da Shopify esgotado e sem tempo para esperar', { method: 'POST', path: 'graphql.json', retryAfterMs: waitMs });
+        }
+        console.log(`⏳ Custo GraphQL: ${Math.round(available)} pontos disponíveis, aguardando ${waitMs}ms`);
+        await sleep(waitMs);
+    };
+
+    const syncCost = (cost) => {
+        const status = cost?.throttleStatus;
+        if (!status) return;
+        costBucket.available = status.currentlyAvailable;
+        costBucket.maximum = status.maximumAvailable;
+        costBucket.restoreRate = status.restoreRate;
+        costBucket.lastCost = cost.actualQueryCost ?? cost.requestedQueryCost ?? costBucket.lastCost;
+        costBucket.updatedAt = Date.now();
+    };
+
+    // Consulta GraphQL. Retorna "data"; THROTTLED é repetido após recuperar os pontos
+    const graphql = async (query, variables = {}, { retries = maxRetries, mutation = false, deadline = Date.now() + deadlineMs } = {}) => {
+        for (let tries = 0; ; tries++) {
+            await waitForCost(deadline);
+
+            const { data: payload } = await request('graphql.json', {
+                method: 'POST',
+                body: { query, variables },
+                retries,
+                idempotent: !mutation,
+                paced: false,
+                deadline
+            });
+
+            syncCost(payload?.extensions?.cost);
+            const errors = payload?.errors || [];
+            const throttled = errors.some(error => error.extensions?.code === 'THROTTLED');
+
+            if (throttled) {
+                const cost = payload.extensions?.cost;
+                costBucket.lastCost = cost?.requestedQueryCost ?? costBucket.lastCost;
+                const waitMs = costBucket.restoreRate
+                    ? Math.ceil(((costBucket.lastCost - (costBucket.available || 0)) / costBucket.restoreRate) * 1000)
+                    : backoffDelay(tries, retryBaseMs, retryMaxMs);
+                if (tries >= retries || Date.now() + waitMs >= deadline) {
+                    throw new ShopifyRateLimitError('Custo de consultas GraphQL da Shopify esgotado', { method: 'POST', path: 'graphql.json' });
+                }
+                console.log(`🔁 GraphQL limitado pela Shopify, tentativa ${tries + 2} em ${Math.max(0, waitMs)}ms`);
+                await sleep(Math.max(0, waitMs));
+                continue;
+            }
+
+            if (errors.length > 0) {
+                throw new ShopifyGraphqlError(`Shopify GraphQL erro: ${errors.map(e => e.message).join('; ')}`, {
+                    errors,
+                    method: 'POST',
+                    path: 'graphql.json'
+                });
+            }
+
+            return payload.data;
+        }
+    };
+
+    return {
+        shopDomain,
+        apiVersion,
+        request,
+        graphql,
+        get: (path, options = {}) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options = {}) => request(path, { ...options, method: 'POST', body }),
+        put: (path, body, options = {}) => request(path, { ...options, method: 'PUT', body }),
+        bucket: () => ({ used: Math.round(bucket.used), size: bucket.size })
+    };
+}
@@ -0,0 +1,399 @@
+// shopify-graphql.js
+// Busca de pedidos pela Admin API GraphQL: paginação por cursor ou bulk operation (JSONL)
+// Os pedidos saem no mesmo formato do orders.json REST que o resto do código espera
+
+import { ShopifyError, ShopifyGraphqlError, ShopifyTimeoutError } from './shopify-client.js';
+import { shopifyFetch } from './shopify-transport.js';
+
+// A Shopify recusa consultas acima de 1000 pontos e o custo é multiplicado pelo "first"
+// de cada conexão: pedidos × (itens + itens de cada envio). Páginas pequenas e até 30 itens
+// por pedido; se ainda assim estourar (MAX_COST_EXCEEDED), a página encolhe sozinha
+const PAGE_SIZE = 10;
+const LINE_ITEMS_PER_ORDER = 30;
+
+// ============================
+// CONSULTAS
+// ============================
+
+// Conexões aninhadas: com "first" na paginação; no bulk cada item vira uma linha do JSONL
+const connection = (name, args, fields, bulk) => bulk
+    ? `${name} { edges { node { __typename ${fields} } } }`
+    : `${name}(first: ${args}) { edges { node { ${fields} } } }`;
+
+const money = 'shopMoney { amount currencyCode }';
+
+const orderFields = (bulk) => `
+    id
+    legacyResourceId
+    name
+    email
+    phone
+    createdAt
+    updatedAt
+    cancelledAt
+    cancelReason
+    closedAt
+    displayFinancialStatus
+    displayFulfillmentStatus
+    returnStatus
+    totalPriceSet { ${money} }
+    tags
+    note
+    customAttributes { key value }
+    discountCodes
+    customer { legacyResourceId email firstName lastName phone }
+    shippingAddress {
+        firstName lastName name company address1 address2 city
+        province provinceCode zip country countryCodeV2 phone
+    }
+    fulfillments {
+        legacyResourceId
+        status
+        displayStatus
+        createdAt
+        updatedAt
+        deliveredAt
+        trackingInfo { company number url }
+        ${bulk ? '' : `fulfillmentLineItems(first: ${LINE_ITEMS_PER_ORDER}) { edges { node { quantity lineItem { id } } } }`}
+    }
+    ${connection('shippingLines', 5, `title code originalPriceSet { ${money} }`, bulk)}
+    ${connection('lineItems', LINE_ITEMS_PER_ORDER, `
+        id
+        sku
+        vendor
+        title
+        name
+        quantity
+        unfulfilledQuantity
+        product { legacyResourceId }
+        variant { legacyResourceId }
+        originalUnitPriceSet { ${money} }
+    `, bulk)}
+`;
+
+const ORDERS_PAGE_QUERY = `
+    query OrdersPage($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+            edges { node { ${orderFields(false)} } }
+            pageInfo { hasNextPage endCursor }
+        }
+    }
+`;
+
+const BULK_RUN_MUTATION = `
+    mutation RunOrdersBulk($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+            bulkOperation { id status }
+            userErrors { field message }
+        }
+    }
+`;
+
+const BULK_CANCEL_MUTATION = `
+    mutation CancelOrdersBulk($id: ID!) {
+        bulkOperationCancel(id: $id) {
+            bulkOperation { id status }
+            userErrors { field message }
+        }
+    }
+`;
+
+const BULK_STATUS_QUERY = `
+    query CurrentBulkOperation {
+        currentBulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+`;
+
+// Filtro de busca do GraphQL: created_at:>='...' AND updated_at:>='...'
+export function ordersSearchQuery({ createdAtMin = null, updatedAtMin = null } = {}) {
+    return [
+        createdAtMin ? `created_at:>='${new Date(createdAtMin).toISOString()}'` : null,
+        updatedAtMin ? `updated_at:>='${new Date(updatedAtMin).toISOString()}'` : null
+    ].filter(Boolean).join(' AND ');
+}
+
+// ============================
+// NORMALIZAÇÃO PARA O FORMATO REST
+// ============================
+
+const nodes = (value) => Array.isArray(value) ? value : (value?.edges || []).map(edge => edge.node);
+const legacyId = (value) => value ? Number(value) : null;
+const gidToId = (gid) => gid ? Number(String(gid).split('/').pop()) : null;
+const amount = (set) => set?.shopMoney?.amount ?? '0.00';
+const lower = (value) => value ? String(value).toLowerCase() : null;
+
+const FULFILLMENT_STATUS = {
+    FULFILLED: 'fulfilled',
+    PARTIALLY_FULFILLED: 'partial',
+    RESTOCKED: 'restocked'
+};
+
+// shipment_status do REST (eventos da transportadora); demais displayStatus não têm equivalente
+const SHIPMENT_STATUSES = [
+    'delivered', 'in_transit', 'out_for_delivery', 'attempted_delivery', 'failure',
+    'confirmed', 'label_printed', 'label_purchased', 'ready_for_pickup', 'picked_up'
+];
+
+const normalizeAddress = (address) => address ? {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    name: address.name,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    zip: address.zip,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    phone: address.phone
+} : null;
+
+const normalizeFulfillment = (fulfillment) => {
+    const tracking = fulfillment.trackingInfo || [];
+    const shipmentStatus = lower(fulfillment.displayStatus);
+
+    return {
+        id: legacyId(fulfillment.legacyResourceId),
+        status: lower(fulfillment.status),
+        shipment_status: fulfillment.deliveredAt ? 'delivered'
+            : (SHIPMENT_STATUSES.includes(shipmentStatus) ? shipmentStatus : null),
+        created_at: fulfillment.createdAt,
+        updated_at: fulfillment.updatedAt,
+        delivered_at: fulfillment.deliveredAt || null,
+        tracking_company: tracking[0]?.company || null,
+        tracking_number: tracking[0]?.number || null,
+        tracking_numbers: tracking.map(t => t.number).filter(Boolean),
+        tracking_url: tracking[0]?.url || null,
+        tracking_urls: tracking.map(t => t.url).filter(Boolean),
+        // Itens de cada envio (fora do bulk, que não aceita conexão dentro de lista)
+        line_items: nodes(fulfillment.fulfillmentLineItems).map(line => ({
+            id: gidToId(line.lineItem?.id),
+            quantity: line.quantity
+        }))
+    };
+};
+
+const normalizeLineItem = (item) => {
+    const unfulfilled = item.unfulfilledQuantity ?? item.quantity;
+    let fulfillmentStatus = null;
+    if (unfulfilled === 0) fulfillmentStatus = 'fulfilled';
+    else if (unfulfilled < item.quantity) fulfillmentStatus = 'partial';
+
+    return {
+        id: gidToId(item.id),
+        product_id: legacyId(item.product?.legacyResourceId),
+        variant_id: legacyId(item.variant?.legacyResourceId),
+        sku: item.sku,
+        vendor: item.vendor,
+        title: item.title,
+        name: item.name,
+        quantity: item.quantity,
+        fulfillable_quantity: unfulfilled,
+        fulfillment_status: fulfillmentStatus,
+        price: amount(item.originalUnitPriceSet)
+    };
+};
+
+export function normalizeGraphqlOrder(node) {
+    return {
+        id: legacyId(node.legacyResourceId) ?? gidToId(node.id),
+        admin_graphql_api_id: node.id,
+        name: node.name,
+        email: node.email,
+        phone: node.phone,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        cancelled_at: node.cancelledAt,
+        cancel_reason: lower(node.cancelReason),
+        closed_at: node.closedAt,
+        financial_status: lower(node.displayFinancialStatus),
+        fulfillment_status: FULFILLMENT_STATUS[node.displayFulfillmentStatus] || null,
+        return_status: lower(node.returnStatus),
+        total_price: amount(node.totalPriceSet),
+        currency: node.totalPriceSet?.shopMoney?.currencyCode,
+        tags: (node.tags || []).join(', '),
+        note: node.note,
+        note_attributes: (node.customAttributes || []).map(attr => ({ name: attr.key, value: attr.value })),
+        discount_codes: (node.discountCodes || []).map(code => ({ code })),
+        customer: node.customer ? {
+            id: legacyId(node.customer.legacyResourceId),
+            email: node.customer.email,
+            first_name: node.customer.firstName,
+            last_name: node.customer.lastName,
+            phone: node.customer.phone
+        } : null,
+        shipping_address: normalizeAddress(node.shippingAddress),
+        shipping_lines: nodes(node.shippingLines).map(line => ({
+            title: line.title,
+            code: line.code,
+            price: amount(line.originalPriceSet)
+        })),
+        line_items: nodes(node.lineItems).map(normalizeLineItem),
+        fulfillments: (node.fulfillments || []).map(normalizeFulfillment)
+    };
+}
+
+// ============================
+// PAGINAÇÃO POR CURSOR
+// ============================
+
+// Página que coube no limite de custo nesta instância (as próximas buscas já começam nela)
+let costFittedPageSize = PAGE_SIZE;
+
+// Erro de custo da Shopify: { cost, maxCost } ou null
+const maxCostExceeded = (error) => {
+    if (!(error instanceof ShopifyGraphqlError)) return null;
+    const exceeded = error.errors.find(e => e.extensions?.code === 'MAX_COST_EXCEEDED');
+    return exceeded ? { cost: exceeded.extensions.cost, maxCost: exceeded.extensions.maxCost } : null;
+};
+
+// Retorna { orders, pages, truncated }; truncated quando maxOrders acaba antes do fim
+export async function fetchOrdersGraphql(client, { createdAtMin, updatedAtMin, maxOrders = 3750, pageSize = null, onPage } = {}) {
+    const orders = [];
+    const query = ordersSearchQuery({ createdAtMin, updatedAtMin });
+    let size = pageSize || costFittedPageSize;
+    let after = null;
+    let pages = 0;
+
+    for (;;) {
+        let data;
+        try {
+            // A última página não passa de maxOrders
+            data = await client.graphql(ORDERS_PAGE_QUERY, { first: Math.min(size, maxOrders - orders.length), after, query });
+        } catch (error) {
+            const exceeded = maxCostExceeded(error);
+            if (!exceeded || size <= 1) throw error;
+
+            // Reduzir na proporção do excesso (ou pela metade, sem os números) e repetir a página
+            const ratio = exceeded.cost > 0 && exceeded.maxCost > 0 ? exceeded.maxCost / exceeded.cost : 0.5;
+            size = Math.max(1, Math.min(size - 1, Math.floor(size * ratio)));
+            if (!pageSize) costFittedPageSize = size;
+            console.log(`📉 Consulta GraphQL custou ${exceeded.cost ?? '?'} pontos (máximo ${exceeded.maxCost ?? '?'}), página reduzida para ${size} pedidos`);
+            continue;
+        }
+
+        pages++;
+        const pageOrders = nodes(data.orders).map(normalizeGraphqlOrder);
+        orders.push(...pageOrders);
+
+        if (onPage) onPage({ page: pages, count: pageOrders.length });
+
+        const { hasNextPage, endCursor } = data.orders.pageInfo;
+        if (!hasNextPage) return { orders, pages, truncated: false };
+        if (orders.length >= maxOrders) return { orders, pages, truncated: true };
+        after = endCursor;
+    }
+}
+
+// ============================
+// BULK OPERATION
+// ============================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// JSONL do bulk: pedidos e, em linhas separadas, filhos com __parentId
+export function parseBulkOrdersJsonl(text) {
+    const byId = new Map();
+    const roots = [];
+
+    text.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        const object = JSON.parse(line);
+
+        if (!object.__parentId) {
+            object.lineItems = [];
+            object.shippingLines = [];
+            byId.set(object.id, object);
+            roots.push(object);
+            return;
+        }
+
+        const parent = byId.get(object.__parentId);
+        if (!parent) return;
+        if (object.__typename === 'LineItem') parent.lineItems.push(object);
+        else if (object.__typename === 'ShippingLine') parent.shippingLines.push(object);
+    });
+
+    return roots.map(normalizeGraphqlOrder);
+}
+
+// A Shopify roda um bulk por vez: o que passou do prazo é cancelado para não travar a próxima busca
+// com "already in progress". Falha no cancelamento só é registrada (o bulk expira sozinho)
+async function cancelBulk(client, id) {
+    try {
+        const { bulkOperationCancel } = await client.graphql(BULK_CANCEL_MUTATION, { id }, { mutation: true });
+        const userErrors = bulkOperationCancel?.userErrors || [];
+        if (userErrors.length > 0) {
+            console.log(`⚠️ Bulk operation ${id} não cancelada: ${userErrors.map(e => e.message).join('; ')}`);
+            return;
+        }
+        console.log(`🛑 Bulk operation ${id} cancelada`);
+    } catch (error) {
+        console.log(`⚠️ Bulk operation ${id} não cancelada: ${error.message}`);
+    }
+}
+
+// Rodar um bulk de pedidos e esperar o resultado (até timeoutMs; depois disso ele é cancelado)
+export async function fetchOrdersBulk(client, {
+    createdAtMin,
+    updatedAtMin,
+    timeoutMs = 20000,
+    pollIntervalMs = 1000,
+    fetchImpl = shopifyFetch
+} = {}) {
+    const search = ordersSearchQuery({ createdAtMin, updatedAtMin });
+    const bulkQuery = `{
+        orders(query: ${JSON.stringify(search)}, sortKey: CREATED_AT, reverse: true) {
+            edges { node { ${orderFields(true)} } }
+        }
+    }`;
+
+    const started = await client.graphql(BULK_RUN_MUTATION, { query: bulkQuery }, { mutation: true });
+    const { bulkOperation, userErrors } = started.bulkOperationRunQuery;
+
+    if (userErrors && userErrors.length > 0) {
+        throw new ShopifyError(`Bulk operation recusada: ${userErrors.map(e => e.message).join('; ')}`, {
+            method: 'POST',
+            path: 'graphql.json'
+        });
+    }
+
+    console.log(`📦 Bulk operation ${bulkOperation.id} iniciada`);
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+        await sleep(pollIntervalMs);
+        const { currentBulkOperation: operation } = await client.graphql(BULK_STATUS_QUERY);
+
+        if (!operation || operation.id !== bulkOperation.id) {
+            throw new ShopifyError('Bulk operation substituída por outra', { path: 'graphql.json' });
+        }
+
+        if (operation.status === 'COMPLETED') {
+            console.log(`✅ Bulk operation concluída: ${operation.objectCount} objetos`);
+            // Sem resultados a Shopify não gera arquivo
+            if (!operation.url) return { orders: [], objectCount: 0 };
+
+            const response = await fetchImpl(operation.url, { signal: AbortSignal.timeout(Math.max(5000, deadline - Date.now())) });
+            if (!response.ok) {
+                throw new ShopifyError(`Erro ao baixar resultado do bulk: ${response.status}`, { status: response.status });
+            }
+            return { orders: parseBulkOrdersJsonl(await response.text()), objectCount: Number(operation.objectCount) };
+        }
+
+        if (['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED'].includes(operation.status)) {
+            throw new ShopifyError(`Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode || 'sem código'}`, {
+                path: 'graphql.json'
+            });
+        }
+
+        if (Date.now() >= deadline) {
+            await cancelBulk(client, bulkOperation.id);
+            throw new ShopifyTimeoutError(`Bulk operation não terminou em ${timeoutMs}ms (${operation.objectCount} objetos)`, {
+                path: 'graphql.json'
+            });
+        }
+    }
+}
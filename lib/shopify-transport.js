@@ -0,0 +1,297 @@
+// shopify-transport.js
+// Camada de transporte das chamadas à Shopify (fetchImpl padrão do shopify-client)
+// SHOPIFY_MODE escolhe o modo:
+// - live: chamadas reais (padrão)
+// - record: chamadas reais, gravando requisição e resposta (com o header Link) em
+//   fixtures/shopify (ou SHOPIFY_FIXTURES_DIR), sem dados pessoais
+// - replay: responde com as gravações, sem rede e sem token
+//
+// No replay o "agora" das rotas (shopifyNow) é o instante da gravação, para
+// days_since_order e os prazos saírem sempre iguais
+
+import { readFileSync, mkdirSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { maskPhone, maskText } from './pii.js';
+import { onlyDigits } from './documents.js';
+
+export const SHOPIFY_MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'shopify');
+
+// Instante da gravação, lido no replay como o "agora" das rotas
+const RECORDING_FILE = 'recording.json';
+
+// Headers guardados (o client usa Link para paginar e o Call-Limit para o balde)
+const RECORDED_HEADERS = ['content-type', 'link', 'x-shopify-shop-api-call-limit', 'retry-after'];
+
+const sha1 = (value) => createHash('sha1').update(value).digest('hex');
+
+// ============================
+// CHAVE DA GRAVAÇÃO
+// ============================
+
+// Datas com horário viram só o dia: created_at_min e os filtros de data das consultas
+// GraphQL mudam a cada execução, mas a gravação do dia continua valendo
+const normalizeTimestamps = (value) =>
+    value.replace(/(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '$1');
+
+// Método, host, caminho, query e corpo (o token fica de fora)
+export function fixtureKey(url, { method = 'GET', body } = {}) {
+    const parsed = new URL(url);
+    const query = normalizeTimestamps(decodeURIComponent(parsed.search));
+    const payload = body === undefined || body === null ? '' : normalizeTimestamps(String(body));
+    return `${method.toUpperCase()} ${parsed.host}${parsed.pathname}${query}${payload ? ` ${sha1(payload)}` : ''}`;
+}
+
+// get-orders-3f2a9c01d4.json (legível, com hash da chave inteira)
+const fixtureFile = (url, key) => {
+    const { pathname } = new URL(url);
+    const slug = pathname
+        .replace(/^\/admin\/api\/[^/]+\//, '')
+        .replace(/\.json$/, '')
+        .replace(/[^a-zA-Z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 60);
+    return `${key.split(' ')[0].toLowerCase()}-${slug || 'root'}-${sha1(key).slice(0, 10)}.json`;
+};
+
+// ============================
+// DADOS PESSOAIS
+// ============================
+
+// Mesmo e-mail vira o mesmo endereço fictício (buscas e agrupamentos por cliente continuam batendo)
+const fakeEmail = (value) => value ? `cliente-${sha1(String(value).toLowerCase()).slice(0, 8)}@example.com` : value;
+
+// CEP: ficam os 5 primeiros dígitos (UF e sub-região continuam certos)
+const scrubZip = (value) => {
+    const digits = onlyDigits(value || '');
+    return digits.length >= 5 ? `${digits.slice(0, 5)}-000` : value;
+};
+
+// Campos trocados em qualquer nível do JSON (REST em snake_case, GraphQL em camelCase)
+const SCRUBBERS = {
+    email: fakeEmail,
+    contact_email: fakeEmail,
+    contactEmail: fakeEmail,
+    phone: maskPhone,
+    first_name: (value) => value && 'Cliente',
+    firstName: (value) => value && 'Cliente',
+    last_name: (value) => value && 'Exemplo',
+    lastName: (value) => value && 'Exemplo',
+    address1: (value) => value && 'Rua Exemplo, 100',
+    address2: (value) => value && '',
+    zip: scrubZip,
+    latitude: () => null,
+    longitude: () => null,
+    company: maskText,
+    note: maskText,
+    customer_note: maskText,
+    customerNote: maskText,
+    reason_note: maskText,
+    browser_ip: () => null,
+    browserIp: () => null,
+    client_details: () => null,
+    cart_token: () => null,
+    checkout_token: () => null,
+    order_status_url: () => null,
+    statusPageUrl: () => null
+};
+
+// Objetos em que "name" é o nome de uma pessoa (no pedido, "name" é o número)
+const PERSON_KEYS = new Set([
+    'customer', 'shipping_address', 'billing_address', 'default_address', 'addresses',
+    'shippingAddress', 'billingAddress', 'defaultAddress'
+]);
+
+// Atributos livres do checkout (CPF, telefone...): { name, value } ou { key, value }
+const ATTRIBUTE_KEYS = new Set(['note_attributes', 'customAttributes']);
+
+const scrubValue = (value, parentKey = null) => {
+    if (Array.isArray(value)) {
+        return value.map(entry => scrubValue(entry, parentKey));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+        if (SCRUBBERS[key] && (typeof entry !== 'object' || entry === null || key === 'client_details')) {
+            return [key, SCRUBBERS[key](entry)];
+        }
+        if (PERSON_KEYS.has(parentKey) && (key === 'name' || key === 'displayName')) {
+            return [key, entry && 'Cliente Exemplo'];
+        }
+        if (ATTRIBUTE_KEYS.has(parentKey) && key === 'value') {
+            return [key, maskText(entry)];
+        }
+        return [key, scrubValue(entry, key)];
+    }));
+};
+
+// Corpo JSON ou JSONL (resultado do bulk) sem dados pessoais
+export function scrubBody(text) {
+    if (!text) return text;
+
+    try {
+        return JSON.stringify(scrubValue(JSON.parse(text)));
+    } catch (error) {
+        return text
+            .split('\n')
+            .map(line => {
+                if (!line.trim()) return line;
+                try {
+                    return JSON.stringify(scrubValue(JSON.parse(line)));
+                } catch (lineError) {
+                    return maskText(line);
+                }
+            })
+            .join('\n');
+    }
+}
+
+// ============================
+// RELÓGIO DO REPLAY
+// ============================
+
+const recordedInstants = new Map();
+
+// "Agora" das rotas, passado como now para o pipeline e as análises. No replay é o início
+// da gravação (recording.json); sem gravação, ou fora do replay, o relógio real. O Date do
+// processo não muda: timeouts, balde e polling do bulk seguem o relógio real
+export function shopifyNow({
+    mode = process.env.SHOPIFY_MODE || 'live',
+    dir = process.env.SHOPIFY_FIXTURES_DIR || DEFAULT_DIR
+} = {}) {
+    if (mode !== 'replay') {
+        return new Date();
+    }
+
+    if (!recordedInstants.has(dir)) {
+        const instant = recordedAt(dir);
+        if (instant && Number.isNaN(new Date(instant).getTime())) {
+            throw new Error(`Instante inválido em ${RECORDING_FILE}: ${instant}`);
+        }
+        console.log(instant ? `📼 Replay da Shopify com relógio em ${instant}` : `📼 Replay sem ${RECORDING_FILE}: relógio real`);
+        recordedInstants.set(dir, instant);
+    }
+
+    const instant = recordedInstants.get(dir);
+    return instant ? new Date(instant) : new Date();
+}
+
+// ============================
+// TRANSPORTE
+// ============================
+
+const headersToRecord = (headers) => Object.fromEntries(
+    RECORDED_HEADERS
+        .map(name => [name, headers.get(name)])
+        .filter(([, value]) => value !== null)
+);
+
+// Respostas 204/304 não têm corpo
+const toResponse = ({ status, headers, body }) => new Response(
+    body && ![204, 304].includes(status) ? body : null,
+    { status, headers }
+);
+
+// fetch compatível com o shopify-client no modo escolhido
+export function createShopifyTransport({
+    mode = process.env.SHOPIFY_MODE || 'live',
+    dir = process.env.SHOPIFY_FIXTURES_DIR || DEFAULT_DIR,
+    fetchImpl = (...args) => fetch(...args)
+} = {}) {
+    if (!SHOPIFY_MODES.includes(mode)) {
+        throw new Error(`SHOPIFY_MODE deve ser um de: ${SHOPIFY_MODES.join(', ')}`);
+    }
+
+    if (mode === 'live') {
+        return fetchImpl;
+    }
+
+    // Requisições iguais (polling do bulk, mesma página buscada duas vezes) são gravadas
+    // em sequência; no replay a última resposta se repete depois que a sequência acaba
+    const recorded = new Map();
+    const served = new Map();
+    let writes = Promise.resolve();
+
+    if (mode === 'record') {
+        mkdirSync(dir, { recursive: true });
+        let startedAt = null;
+
+        return async (url, init = {}) => {
+            const response = await fetchImpl(url, init);
+            const body = await response.text();
+            const key = fixtureKey(url, init);
+            const file = fixtureFile(url, key);
+
+            if (!startedAt) {
+                startedAt = new Date().toISOString();
+                writes = writes.then(() => writeFile(path.join(dir, RECORDING_FILE), JSON.stringify({ recorded_at: startedAt }, null, 2)));
+            }
+
+            const responses = recorded.get(file) || [];
+            responses.push({ status: response.status, headers: headersToRecord(response.headers), body: scrubBody(body) });
+            recorded.set(file, responses);
+
+            const fixture = {
+                request: {
+                    method: (init.method || 'GET').toUpperCase(),
+                    url: maskText(decodeURIComponent(url)),
+                    body: init.body ? scrubBody(String(init.body)) : null
+                },
+                responses
+            };
+            writes = writes
+                .then(() => writeFile(path.join(dir, file), JSON.stringify(fixture, null, 2)))
+                .catch(error => console.error(`❌ Erro ao gravar ${file}:`, error.message));
+            await writes;
+
+            console.log(`📼 Gravado: ${key.split(' ').slice(0, 2).join(' ')}`);
+            return toResponse({ status: response.status, headers: response.headers, body });
+        };
+    }
+
+    return async (url, init = {}) => {
+        const key = fixtureKey(url, init);
+        const file = fixtureFile(url, key);
+
+        if (!recorded.has(file)) {
+            try {
+                recorded.set(file, JSON.parse(await readFile(path.join(dir, file), 'utf8')).responses || []);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                recorded.set(file, []);
+            }
+        }
+
+        const responses = recorded.get(file);
+        if (responses.length === 0) {
+            console.warn(`📼 Sem gravação para ${key.split(' ').slice(0, 2).join(' ')} (${file}); grave com SHOPIFY_MODE=record`);
+            return toResponse({
+                status: 404,
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ errors: `Sem gravação em ${file}` })
+            });
+        }
+
+        const index = served.get(file) || 0;
+        served.set(file, index + 1);
+        return toResponse(responses[Math.min(index, responses.length - 1)]);
+    };
+}
+
+// Início da gravação (recording.json), ou null sem gravação
+function recordedAt(dir) {
+    try {
+        return JSON.parse(readFileSync(path.join(dir, RECORDING_FILE), 'utf8')).recorded_at || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Transporte padrão do processo
+export const shopifyFetch = createShopifyTransport();
@@ -0,0 +1,38 @@
+// shopify-webhooks.js
+// Verificação de HMAC dos webhooks da Shopify e leitura do corpo bruto
+
+import crypto from 'crypto';
+
+// Assinatura que a Shopify envia em X-Shopify-Hmac-Sha256 (base64 do HMAC-SHA256 do corpo)
+export function signShopifyPayload(rawBody, secret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+// Comparação em tempo constante
+export function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+    if (!hmacHeader || !secret) return false;
+
+    const expected = Buffer.from(signShopifyPayload(rawBody, secret));
+    const received = Buffer.from(String(hmacHeader));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// O HMAC precisa do corpo exatamente como chegou, antes de qualquer parse
+// Lê o stream sem tocar em req.body (o getter da Vercel já devolve o JSON parseado)
+export async function readRawBody(req) {
+    if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+
+    if (typeof req[Symbol.asyncIterator] === 'function' && !req.readableEnded) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        }
+        if (chunks.length > 0) return Buffer.concat(chunks);
+    }
+
+    if (Buffer.isBuffer(req.body)) return req.body;
+    if (typeof req.body === 'string') return Buffer.from(req.body);
+
+    return Buffer.alloc(0);
+}
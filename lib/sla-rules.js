@@ -0,0 +1,206 @@
+// sla-rules.js
+// Motor de regras de SLA compartilhado pelo shopify-proxy e order-details
+// As regras ficam em config/sla-rules.json (ou no arquivo de SLA_RULES_PATH)
+
+import { readFile } from 'fs/promises';
+import { destinationOf } from './regions.js';
+
+const DEFAULT_RULES_URL = new URL('../config/sla-rules.json', import.meta.url);
+
+// Limites usados se o arquivo não definir algum valor (em dias, "maior que")
+const FALLBACK_THRESHOLDS = {
+    without_tracking: { medium: 3, high: 5, critical: 7, late: 7 },
+    with_tracking: { medium: 13, high: 16, critical: 21, late: 15 }
+};
+
+// Status de prazo correspondente a cada nível de urgência
+const PRAZO_STATUS = {
+    without_tracking: { normal: 'aguardando', medium: 'aguardando', high: 'aguardando', critical: 'aguardando_urgente' },
+    with_tracking: { normal: 'no_prazo', medium: 'alerta', high: 'atrasado', critical: 'critico' }
+};
+
+const CRITERIA = ['shipping_line', 'vendor', 'tag', 'province_code'];
+const DAY_TYPES = ['business', 'calendar'];
+
+// Regras compiladas por arquivo (cada loja pode ter o seu, ver lib/stores.js)
+const cachedRules = new Map();
+
+const toLowerList = (value) => (Array.isArray(value) ? value : [value])
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .map(v => String(v).trim().toLowerCase());
+
+const mergeThresholds = (base, override = {}) => ({
+    without_tracking: { ...base.without_tracking, ...(override.without_tracking || {}) },
+    with_tracking: { ...base.with_tracking, ...(override.with_tracking || {}) }
+});
+
+// Validar e normalizar o conjunto de regras
+export function compileSlaRules(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Conjunto de regras de SLA inválido');
+    }
+
+    const defaults = raw.default || {};
+    const defaultThresholds = mergeThresholds(FALLBACK_THRESHOLDS, defaults);
+    const calendar = raw.calendar || {};
+
+    // Prazos em dias úteis por padrão (é como as transportadoras informam)
+    const dayType = calendar.day_type || 'business';
+    if (!DAY_TYPES.includes(dayType)) {
+        throw new Error(`calendar.day_type deve ser um de: ${DAY_TYPES.join(', ')}`);
+    }
+
+    const rules = (raw.rules || []).map((rule, index) => {
+        const id = rule.id || `regra_${index + 1}`;
+        const match = rule.match || {};
+        const unknown = Object.keys(match).filter(key => !CRITERIA.includes(key));
+
+        if (unknown.length > 0) {
+            throw new Error(`Regra de SLA "${id}" usa critérios desconhecidos: ${unknown.join(', ')}`);
+        }
+        if (Object.keys(match).length === 0) {
+            throw new Error(`Regra de SLA "${id}" não define nenhum critério em "match"`);
+        }
+        if (rule.day_type && !DAY_TYPES.includes(rule.day_type)) {
+            throw new Error(`Regra de SLA "${id}" tem day_type inválido: ${rule.day_type}`);
+        }
+
+        return {
+            id,
+            description: rule.description || '',
+            match: Object.fromEntries(Object.entries(match).map(([key, value]) => [key, toLowerList(value)])),
+            day_type: rule.day_type || dayType,
+            thresholds: mergeThresholds(defaultThresholds, rule)
+        };
+    });
+
+    return {
+        version: raw.version || 1,
+        tracking: {
+            // Dias corridos sem novo checkpoint para considerar o envio parado
+            stuck_after_days: raw.tracking?.stuck_after_days ?? 7
+        },
+        calendar: {
+            day_type: dayType,
+            // UF cujos feriados estaduais também contam (opcional)
+            state: calendar.state ? String(calendar.state).toUpperCase() : null
+        },
+        default: {
+            id: defaults.id || 'padrao',
+            description: defaults.description || '',
+            day_type: defaults.day_type || dayType,
+            thresholds: defaultThresholds
+        },
+        rules
+    };
+}
+
+const parseRulesFile = async (location) => {
+    const content = await readFile(location, 'utf8');
+    const path = String(location);
+
+    if (/\.ya?ml$/i.test(path)) {
+        // YAML é opcional e depende do pacote "yaml" estar instalado
+        try {
+            const { parse } = await import('yaml');
+            return parse(content);
+        } catch (error) {
+            throw new Error(`Não foi possível ler ${path} como YAML: ${error.message}`);
+        }
+    }
+
+    return JSON.parse(content);
+};
+
+// Carregar regras (com cache por instância da função). location: arquivo da loja, se houver
+export async function loadSlaRules({ reload = false, location = null } = {}) {
+    const source = location || process.env.SLA_RULES_PATH || DEFAULT_RULES_URL;
+    const key = String(source);
+
+    if (cachedRules.has(key) && !reload) {
+        return cachedRules.get(key);
+    }
+
+    const rules = compileSlaRules(await parseRulesFile(source));
+    cachedRules.set(key, rules);
+    return rules;
+}
+
+// Valores do pedido usados pelos critérios das regras
+const orderFacts = (order) => ({
+    shipping_line: (order.shipping_lines || [])
+        .flatMap(line => [line.title, line.code])
+        .filter(Boolean)
+        .map(v => String(v).toLowerCase()),
+    vendor: (order.line_items || [])
+        .map(item => item.vendor)
+        .filter(Boolean)
+        .map(v => String(v).toLowerCase()),
+    tag: (order.tags || '')
+        .split(',')
+        .map(t => t.trim().toLowerCase())
+        .filter(Boolean),
+    // UF do endereço ou, sem ela, pela faixa do CEP
+    province_code: [destinationOf(order).state]
+        .filter(Boolean)
+        .map(v => String(v).toLowerCase())
+});
+
+// Linha de frete casa por trecho ("sedex" casa "SEDEX 10"); demais critérios são exatos
+const matchCriterion = (criterion, expected, actual) => {
+    if (criterion === 'shipping_line') {
+        return actual.find(value => expected.some(e => value.includes(e)));
+    }
+    return actual.find(value => expected.includes(value));
+};
+
+// Encontrar a primeira regra cujos critérios casam com o pedido
+export function findMatchingRule(order, ruleSet) {
+    const facts = orderFacts(order);
+
+    for (const rule of ruleSet.rules) {
+        const matchedOn = {};
+        const matches = Object.entries(rule.match).every(([criterion, expected]) => {
+            const hit = matchCriterion(criterion, expected, facts[criterion]);
+            if (hit) matchedOn[criterion] = hit;
+            return Boolean(hit);
+        });
+
+        if (matches) {
+            return { rule, matchedOn };
+        }
+    }
+
+    return { rule: null, matchedOn: {} };
+}
+
+// Classificar um pedido ativo: urgência, status de prazo e atraso
+// Os limites são comparados com dias úteis ou corridos conforme o day_type da regra
+export function evaluateSla(order, { calendarDays, businessDays, hasTracking, ruleSet }) {
+    const { rule, matchedOn } = findMatchingRule(order, ruleSet);
+    const applied = rule || ruleSet.default;
+    const mode = hasTracking ? 'with_tracking' : 'without_tracking';
+    const limits = applied.thresholds[mode];
+    const daysPassed = applied.day_type === 'calendar' ? calendarDays : businessDays;
+
+    let urgencyLevel = 'normal';
+    if (daysPassed > limits.critical) urgencyLevel = 'critical';
+    else if (daysPassed > limits.high) urgencyLevel = 'high';
+    else if (daysPassed > limits.medium) urgencyLevel = 'medium';
+
+    return {
+        urgency_level: urgencyLevel,
+        prazo_status: PRAZO_STATUS[mode][urgencyLevel],
+        is_late: daysPassed > limits.late,
+        sla_rule: {
+            id: applied.id,
+            description: applied.description,
+            is_default: !rule,
+            matched_on: matchedOn,
+            mode: mode,
+            day_type: applied.day_type,
+            days_evaluated: daysPassed,
+            thresholds: limits
+        }
+    };
+}
@@ -0,0 +1,227 @@
+// smtp.js
+// Cliente SMTP mínimo, sem dependências: TLS direto (465) ou STARTTLS, AUTH PLAIN/LOGIN
+// Configuração: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+
+import net from 'net';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// ============================
+// CONEXÃO
+// ============================
+
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+    const socket = secure
+        ? tls.connect({ host, port, servername: host })
+        : net.connect({ host, port });
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`Timeout SMTP após ${timeoutMs}ms`)));
+    socket.once('error', reject);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+        socket.off('error', reject);
+        resolve(socket);
+    });
+});
+
+// STARTTLS: a mesma conexão passa a ser TLS
+const upgrade = (socket, { host, timeoutMs }) => new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host });
+
+    secureSocket.setTimeout(timeoutMs, () => secureSocket.destroy(new Error(`Timeout SMTP após ${timeoutMs}ms`)));
+    secureSocket.once('error', reject);
+    secureSocket.once('secureConnect', () => {
+        secureSocket.off('error', reject);
+        resolve(secureSocket);
+    });
+});
+
+// Respostas do servidor: "250-..." continua, "250 ..." encerra a resposta
+const replyReader = (socket) => {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const settle = () => {
+        while (replies.length > 0 && waiting.length > 0) waiting.shift().resolve(replies.shift());
+        if (failure) while (waiting.length > 0) waiting.shift().reject(failure);
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: parseInt(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') });
+                lines = [];
+            }
+        }
+        settle();
+    };
+    const onError = (error) => {
+        failure = failure || error;
+        settle();
+    };
+    const onClose = () => onError(new Error('Conexão SMTP encerrada pelo servidor'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        next: () => new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject });
+            settle();
+        }),
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+};
+
+// ============================
+// MENSAGEM
+// ============================
+
+// "Nome <a@b.com>" -> "a@b.com"
+const mailbox = (value) => (String(value).match(/<([^>]+)>/) || [null, value])[1].trim();
+
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+const base64Body = (content) => Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+export function buildMessage({ from, to, subject, text, html = null, date = new Date() }) {
+    const domain = mailbox(from).split('@')[1] || 'localhost';
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0'
+    ];
+
+    const part = (type, content) => [
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Body(content)
+    ].join('\r\n');
+
+    if (!html) {
+        return [...headers, part('text/plain', text)].join('\r\n');
+    }
+
+    const boundary = `orne-${randomUUID()}`;
+    return [
+        ...headers,
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        part('text/plain', text || ''),
+        `--${boundary}`,
+        part('text/html', html),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+// ============================
+// ENVIO
+// ============================
+
+export function smtpConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+}
+
+// Enviar um e-mail (to: lista ou string separada por vírgulas)
+export async function sendMail({ from, to, subject, text, html = null }, {
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT || (process.env.SMTP_SECURE === 'true' ? '465' : '587')),
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    // Senha só vai por conexão cifrada, a não ser que isso seja liberado explicitamente
+    allowInsecureAuth = process.env.SMTP_ALLOW_INSECURE === 'true',
+    heloName = process.env.SMTP_HELO_NAME || 'orne-api',
+    timeoutMs = DEFAULT_TIMEOUT_MS
+} = {}) {
+    if (!host) {
+        throw new Error('SMTP_HOST não configurado');
+    }
+
+    const recipients = (Array.isArray(to) ? to : String(to || '').split(','))
+        .map(address => address.trim())
+        .filter(Boolean);
+
+    if (!from || recipients.length === 0) {
+        throw new Error('Remetente e destinatário são obrigatórios');
+    }
+
+    let socket = await connect({ host, port, secure, timeoutMs });
+    let reader = replyReader(socket);
+    let encrypted = secure;
+
+    const command = async (line, expected, label = line) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${reply.code} em ${label}: ${reply.text}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220], 'conexão');
+        let ehlo = await command(`EHLO ${heloName}`, [250]);
+
+        if (!encrypted && /^STARTTLS\b/im.test(ehlo.text)) {
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket = await upgrade(socket, { host, timeoutMs });
+            reader = replyReader(socket);
+            encrypted = true;
+            ehlo = await command(`EHLO ${heloName}`, [250]);
+        }
+
+        if (user) {
+            if (!encrypted && !allowInsecureAuth) {
+                throw new Error('Servidor SMTP sem TLS: autenticação recusada (SMTP_ALLOW_INSECURE=true libera)');
+            }
+
+            if (/^AUTH\b.*\bPLAIN\b/im.test(ehlo.text)) {
+                const token = Buffer.from(`\u0000${user}\u0000${pass || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+            } else {
+                await command('AUTH LOGIN', [334]);
+                await command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN (usuário)');
+                await command(Buffer.from(pass || '').toString('base64'), [235], 'AUTH LOGIN (senha)');
+            }
+        }
+
+        await command(`MAIL FROM:<${mailbox(from)}>`, [250]);
+        for (const recipient of recipients) {
+            await command(`RCPT TO:<${mailbox(recipient)}>`, [250, 251]);
+        }
+
+        await command('DATA', [354]);
+        // Linhas começando com "." são duplicadas (dot-stuffing)
+        const message = buildMessage({ from, to: recipients, subject, text, html }).replace(/^\./gm, '..');
+        const accepted = await command(`${message}\r\n.`, [250], 'envio da mensagem');
+
+        await command('QUIT', [221]).catch(() => {});
+        return { accepted: recipients, response: accepted.text };
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
@@ -0,0 +1,158 @@
+// stats-history.js
+// Histórico diário das estatísticas do shopify-proxy (uma foto por dia, a mais recente vence)
+// STATS_STORE escolhe onde gravar: "storage" (padrão, lib/storage.js) ou "sqlite"
+// Um novo backend só precisa implementar { save(date, snapshot), range(from, to) }
+
+import { openCollection } from './storage.js';
+import { localDateKey, addDays } from './business-calendar.js';
+
+export const SERIES_FIELDS = ['active', 'late', 'critical', 'without_tracking', 'late_percentage'];
+
+const HISTORY_COLLECTION = 'stats-history';
+
+// ============================
+// STORES
+// ============================
+
+const storageStore = () => {
+    const collection = openCollection(HISTORY_COLLECTION);
+
+    return {
+        name: 'storage',
+        async save(date, snapshot) {
+            return collection.update(data => {
+                const previous = data[date];
+                data[date] = { ...snapshot, samples: (previous?.samples || 0) + 1 };
+                return data[date];
+            });
+        },
+        async range(from, to) {
+            return (await collection.entries())
+                .filter(([date]) => date >= from && date <= to)
+                .map(([date, snapshot]) => ({ date, ...snapshot }));
+        }
+    };
+};
+
+// SQLite é opcional e depende do pacote "better-sqlite3" estar instalado
+const sqliteStore = async () => {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+        throw new Error(`STATS_STORE=sqlite requer o pacote better-sqlite3: ${error.message}`);
+    }
+
+    const db = new Database(process.env.STATS_SQLITE_PATH || 'stats-history.sqlite');
+    db.exec(`CREATE TABLE IF NOT EXISTS stats_history (
+        date TEXT PRIMARY KEY,
+        snapshot TEXT NOT NULL,
+        samples INTEGER NOT NULL DEFAULT 1
+    )`);
+
+    const upsert = db.prepare(`INSERT INTO stats_history (date, snapshot, samples) VALUES (?, ?, 1)
+        ON CONFLICT(date) DO UPDATE SET snapshot = excluded.snapshot, samples = samples + 1`);
+    const select = db.prepare('SELECT date, snapshot, samples FROM stats_history WHERE date BETWEEN ? AND ? ORDER BY date');
+
+    return {
+        name: 'sqlite',
+        async save(date, snapshot) {
+            upsert.run(date, JSON.stringify(snapshot));
+            return snapshot;
+        },
+        async range(from, to) {
+            return select.all(from, to).map(row => ({ date: row.date, ...JSON.parse(row.snapshot), samples: row.samples }));
+        }
+    };
+};
+
+const STORES = { storage: storageStore, sqlite: sqliteStore };
+
+let store = null;
+
+export async function historyStore() {
+    if (store) return store;
+
+    const name = process.env.STATS_STORE || 'storage';
+    if (!STORES[name]) {
+        throw new Error(`STATS_STORE desconhecido: ${name}`);
+    }
+
+    store = await STORES[name]();
+    return store;
+}
+
+// ============================
+// GRAVAÇÃO
+// ============================
+
+// Campos da série a partir do "stats" do shopify-proxy
+export function snapshotFromStats(stats) {
+    return {
+        active: stats.active_orders,
+        late: stats.late_orders,
+        critical: stats.critical_orders,
+        without_tracking: stats.without_tracking,
+        with_tracking: stats.with_tracking,
+        stuck: stats.stuck_orders,
+        returned: stats.returned_orders,
+        late_percentage: parseFloat(stats.late_percentage)
+    };
+}
+
+// Gravar a foto do dia (fuso de São Paulo). Erros são registrados e não propagados
+export async function recordStatsSnapshot(stats, { now = new Date(), source = 'shopify-proxy' } = {}) {
+    try {
+        const date = localDateKey(now);
+        const saved = await (await historyStore()).save(date, {
+            ...snapshotFromStats(stats),
+            recorded_at: new Date(now).toISOString(),
+            source
+        });
+        return { date, ...saved };
+    } catch (error) {
+        console.error('⚠️ Erro ao gravar histórico de estatísticas:', error.message);
+        return null;
+    }
+}
+
+// ============================
+// SÉRIES
+// ============================
+
+const delta = (current, previous) => {
+    if (current === null || current === undefined || previous === null || previous === undefined) return null;
+    return Math.round((current - previous) * 10) / 10;
+};
+
+const deltas = (current, previous) => SERIES_FIELDS.reduce((acc, field) => {
+    acc[field] = previous ? delta(current[field], previous[field]) : null;
+    return acc;
+}, {});
+
+// Série diária de from a to (dias sem foto ficam com valores null)
+// Variações: dia anterior e mesmo dia da semana anterior
+export async function loadStatsHistory(from, to) {
+    // 7 dias antes do início para a variação semanal do primeiro dia
+    const snapshots = await (await historyStore()).range(addDays(from, -7), to);
+    const byDate = new Map(snapshots.map(snapshot => [snapshot.date, snapshot]));
+
+    const series = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const snapshot = byDate.get(date) || null;
+        const values = SERIES_FIELDS.reduce((acc, field) => {
+            acc[field] = snapshot ? snapshot[field] ?? null : null;
+            return acc;
+        }, {});
+
+        series.push({
+            date,
+            ...values,
+            recorded_at: snapshot?.recorded_at || null,
+            day_over_day: snapshot ? deltas(values, byDate.get(addDays(date, -1))) : null,
+            week_over_week: snapshot ? deltas(values, byDate.get(addDays(date, -7))) : null
+        });
+    }
+
+    return series;
+}
@@ -0,0 +1,116 @@
+// storage.js
+// Armazenamento persistente simples (chave -> valor JSON) por coleção
+// Driver "file" grava um JSON por coleção em DATA_DIR; "memory" serve para testes locais
+// Outro backend (KV, banco) só precisa implementar a mesma interface de openCollection
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const memoryCollections = new Map();
+
+// Escritas por coleção são serializadas para não perder atualizações concorrentes
+const writeQueues = new Map();
+
+const dataDir = () => process.env.DATA_DIR || path.join(tmpdir(), 'orne-api');
+
+const collectionFile = (name) => path.join(dataDir(), `${name.replace(/[^a-z0-9_-]/gi, '_')}.json`);
+
+const readCollectionFile = async (name) => {
+    try {
+        return JSON.parse(await readFile(collectionFile(name), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+};
+
+// Gravação atômica (arquivo temporário + rename)
+const writeCollectionFile = async (name, data) => {
+    const file = collectionFile(name);
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tmpFile, JSON.stringify(data));
+    await rename(tmpFile, file);
+};
+
+const fileDriver = (name) => {
+    const update = (mutate) => {
+        const previous = writeQueues.get(name) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const data = await readCollectionFile(name);
+            const result = mutate(data);
+            await writeCollectionFile(name, data);
+            return result;
+        });
+        writeQueues.set(name, next);
+        return next;
+    };
+
+    return {
+        async get(key) {
+            const data = await readCollectionFile(name);
+            return data[key] ?? null;
+        },
+        async set(key, value) {
+            await update(data => { data[key] = value; });
+            return value;
+        },
+        async delete(key) {
+            return update(data => {
+                const existed = key in data;
+                delete data[key];
+                return existed;
+            });
+        },
+        async entries() {
+            return Object.entries(await readCollectionFile(name));
+        },
+        // Atualização atômica de vários registros: mutate recebe o objeto inteiro
+        async update(mutate) {
+            return update(mutate);
+        }
+    };
+};
+
+const memoryDriver = (name) => {
+    if (!memoryCollections.has(name)) {
+        memoryCollections.set(name, {});
+    }
+    const data = memoryCollections.get(name);
+
+    return {
+        async get(key) {
+            return data[key] ?? null;
+        },
+        async set(key, value) {
+            data[key] = value;
+            return value;
+        },
+        async delete(key) {
+            const existed = key in data;
+            delete data[key];
+            return existed;
+        },
+        async entries() {
+            return Object.entries(data);
+        },
+        async update(mutate) {
+            return mutate(data);
+        }
+    };
+};
+
+const DRIVERS = { file: fileDriver, memory: memoryDriver };
+
+// Abrir uma coleção no driver configurado em STORE_DRIVER (padrão: file)
+export function openCollection(name) {
+    const driverName = process.env.STORE_DRIVER || 'file';
+    const driver = DRIVERS[driverName];
+
+    if (!driver) {
+        throw new Error(`STORE_DRIVER desconhecido: ${driverName}`);
+    }
+
+    return driver(name);
+}
@@ -0,0 +1,166 @@
+// stores.js
+// Registro das lojas Shopify atendidas pelo painel
+// As lojas ficam em config/stores.json (ou no arquivo de STORES_CONFIG_PATH):
+// [{ "id": "orne", "name": "Orne Decor", "domain": "orne-decor-studio.myshopify.com",
+//    "token_env": "SHOPIFY_TOKEN_ORNE", "api_version": "2024-01", "sla_rules": "sla-rules.json",
+//    "webhook_secret_env": "SHOPIFY_WEBHOOK_SECRET_ORNE" }]
+// Segredos nunca vão no arquivo: *_env indica a variável de ambiente que os guarda
+// Sem o arquivo vale a loja única de SHOP_DOMAIN/SHOPIFY_ACCESS_TOKEN (id "default")
+
+import { readFile } from 'fs/promises';
+import { DEFAULT_API_VERSION } from './shopify-client.js';
+
+export const DEFAULT_STORE_ID = 'default';
+
+const DEFAULT_CONFIG_URL = new URL('../config/stores.json', import.meta.url);
+
+const STORE_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+let cachedRegistry = null;
+
+// No replay (SHOPIFY_MODE=replay) as gravações respondem sem token: lojas sem a variável
+// recebem um token de mentira para as rotas rodarem sem mudança
+const missingToken = (env) => env.SHOPIFY_MODE === 'replay' ? 'replay' : null;
+
+// Validar e normalizar o registro. location: arquivo de onde veio (resolve sla_rules)
+export function compileStores(raw, { location = DEFAULT_CONFIG_URL, env = process.env } = {}) {
+    const list = Array.isArray(raw) ? raw : raw?.stores;
+
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('Registro de lojas deve ter ao menos uma loja em "stores"');
+    }
+
+    const seen = new Set();
+
+    return list.map((store, index) => {
+        const id = String(store.id || '').trim().toLowerCase();
+
+        if (!STORE_ID_PATTERN.test(id)) {
+            throw new Error(`Loja ${index + 1} tem id inválido (use letras minúsculas, números, - ou _)`);
+        }
+        if (seen.has(id)) {
+            throw new Error(`Loja "${id}" aparece mais de uma vez`);
+        }
+        if (!store.domain) {
+            throw new Error(`Loja "${id}" não define "domain"`);
+        }
+        seen.add(id);
+
+        const tokenEnv = store.token_env || `SHOPIFY_TOKEN_${id.toUpperCase().replace(/-/g, '_')}`;
+
+        return {
+            id,
+            name: store.name || id,
+            domain: String(store.domain).trim().replace(/^https?:\/\//, '').replace(/\/$/, ''),
+            token: env[tokenEnv] || missingToken(env),
+            tokenEnv,
+            apiVersion: store.api_version || DEFAULT_API_VERSION,
+            // Segredo próprio dos webhooks (app diferente por loja); padrão: SHOPIFY_WEBHOOK_SECRET
+            webhookSecret: store.webhook_secret_env ? env[store.webhook_secret_env] || null : null,
+            slaRulesPath: store.sla_rules ? new URL(store.sla_rules, location) : null,
+            // Cópia local e estado da sincronização separados por loja
+            namespace: id
+        };
+    });
+}
+
+// Lojas configuradas. fallback: loja única usada quando não há registro
+// ({ domain, token, apiVersion }, vinda da configuração da rota)
+export async function loadStores({ fallback = {}, reload = false } = {}) {
+    if (!cachedRegistry || reload) {
+        const location = process.env.STORES_CONFIG_PATH || DEFAULT_CONFIG_URL;
+
+        try {
+            cachedRegistry = compileStores(JSON.parse(await readFile(location, 'utf8')), {
+                location: location instanceof URL ? location : new URL(location, `file://${process.cwd()}/`)
+            });
+        } catch (error) {
+            if (error.code !== 'ENOENT' || process.env.STORES_CONFIG_PATH) {
+                throw new Error(`Não foi possível carregar o registro de lojas: ${error.message}`);
+            }
+            cachedRegistry = [];
+        }
+    }
+
+    if (cachedRegistry.length > 0) {
+        return cachedRegistry;
+    }
+
+    // Instalação de uma loja só: mesmas coleções de sempre (sem namespace)
+    return [{
+        id: DEFAULT_STORE_ID,
+        name: fallback.name || fallback.domain || DEFAULT_STORE_ID,
+        domain: fallback.domain || process.env.SHOP_DOMAIN || 'orne-decor-studio.myshopify.com',
+        token: fallback.token || process.env.SHOPIFY_ACCESS_TOKEN || missingToken(process.env),
+        tokenEnv: 'SHOPIFY_ACCESS_TOKEN',
+        webhookSecret: null,
+        apiVersion: fallback.apiVersion || process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+        slaRulesPath: null,
+        namespace: null
+    }];
+}
+
+// Escolher lojas pelo parâmetro ?store=a,b (vazio = todas). Retorna { stores } ou { error }
+export function selectStores(stores, requested) {
+    const ids = String(requested || '')
+        .split(',')
+        .map(id => id.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (ids.length === 0) {
+        return { stores };
+    }
+
+    const unknown = ids.filter(id => !stores.some(store => store.id === id));
+    if (unknown.length > 0) {
+        return { error: `Loja desconhecida: ${unknown.join(', ')} (disponíveis: ${stores.map(store => store.id).join(', ')})` };
+    }
+
+    return { stores: stores.filter(store => ids.includes(store.id)) };
+}
+
+// Uma loja só pelo parâmetro ?store= (vazio = a primeira do registro). Retorna { store } ou { error }
+export function selectStore(stores, requested) {
+    const id = requested ? String(requested) : null;
+
+    if (id && id.includes(',')) {
+        return { error: 'Informe uma única loja em store' };
+    }
+
+    const { stores: matched, error } = selectStores(stores, id);
+    return error ? { error } : { store: matched[0] };
+}
+
+// Loja de uma rota de loja única (?store=), com registro e token conferidos
+// Retorna { store } ou { status, error, message } para a resposta de erro
+export async function resolveStore(requested, { fallback = {} } = {}) {
+    let stores;
+    try {
+        stores = await loadStores({ fallback });
+    } catch (error) {
+        console.error('❌', error.message);
+        return { status: 500, error: 'Registro de lojas inválido', message: error.message };
+    }
+
+    const { store, error } = selectStore(stores, requested);
+    if (error) {
+        return { status: 400, error: 'Parâmetros inválidos', message: error };
+    }
+
+    if (!store.token) {
+        console.error(`❌ Token da loja ${store.id} não configurado`);
+        return { status: 500, error: 'Token não configurado no servidor', message: `Defina ${store.tokenEnv}` };
+    }
+
+    return { store };
+}
+
+// Loja de um webhook (X-Shopify-Shop-Domain)
+export function findStoreByDomain(stores, domain) {
+    const normalized = String(domain || '').trim().toLowerCase();
+    return stores.find(store => store.domain.toLowerCase() === normalized) || null;
+}
+
+// Nome de coleção ou chave de armazenamento da loja (a loja única mantém o nome original)
+export const storeScopedName = (name, store = null) =>
+    store?.namespace ? `${name}-${store.namespace}` : name;
@@ -0,0 +1,43 @@
+// cainiao.js
+// Adaptador da consulta pública da Cainiao (AliExpress Standard Shipping, LP…/YT…)
+
+import { checkpoint, statusFromDescription } from './events.js';
+
+const API_URL = process.env.CAINIAO_API_URL || 'https://global.cainiao.com/global/detail.json';
+
+const eventStatus = (detail) => {
+    const action = String(detail.actionCode || '').toUpperCase();
+    if (/RETURN/.test(action)) return 'returned';
+    if (/SIGNED|DELIVERED/.test(action)) return 'delivered';
+    if (/DELIVERING|OUT_FOR_DELIVERY/.test(action)) return 'out_for_delivery';
+    return statusFromDescription(detail.standerdDesc || detail.desc);
+};
+
+export function createCainiaoProvider({ timeoutMs = 8000 } = {}) {
+    return {
+        name: 'cainiao',
+        enabled: true,
+        supports: (tracking) => tracking.carrier === 'cainiao',
+        async fetchEvents(code) {
+            const response = await fetch(`${API_URL}?mailNos=${code}&lang=pt`, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Cainiao erro: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const item = (data.module || [])[0];
+
+            return (item?.detailList || []).map(detail => checkpoint({
+                status: eventStatus(detail),
+                description: detail.standerdDesc || detail.desc,
+                location: detail.group?.nodeDesc || null,
+                date: detail.time || detail.timeStr,
+                code: detail.actionCode || null
+            }));
+        }
+    };
+}
@@ -0,0 +1,55 @@
+// correios.js
+// Adaptador da API SRO Rastro dos Correios (requer CORREIOS_API_TOKEN)
+
+import { checkpoint, statusFromDescription } from './events.js';
+
+const API_URL = process.env.CORREIOS_API_URL || 'https://api.correios.com.br/srorastro/v1/objetos';
+
+// Códigos de evento de entrega (BDE/BDI/BDR tipo 01) e saída para entrega (OEC)
+const eventStatus = (evento) => {
+    if (['BDE', 'BDI', 'BDR'].includes(evento.codigo) && ['00', '01'].includes(evento.tipo)) {
+        return 'delivered';
+    }
+    if (evento.codigo === 'OEC') return 'out_for_delivery';
+    const status = statusFromDescription(evento.descricao);
+    // "Entregue" fora dos códigos de entrega costuma ser "entregue ao remetente"
+    return status === 'delivered' ? 'in_transit' : status;
+};
+
+const eventLocation = (evento) => {
+    const endereco = evento.unidade?.endereco;
+    if (!endereco) return null;
+    return [endereco.cidade, endereco.uf].filter(Boolean).join(' - ') || null;
+};
+
+export function createCorreiosProvider({ token = process.env.CORREIOS_API_TOKEN, timeoutMs = 8000 } = {}) {
+    return {
+        name: 'correios',
+        enabled: Boolean(token),
+        supports: (tracking) => tracking.carrier === 'correios',
+        async fetchEvents(code) {
+            const response = await fetch(`${API_URL}/${code}?resultado=T`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json'
+                },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Correios API erro: ${response.status}`);
+            }
+
+            const data = await response.json();
+            const objeto = (data.objetos || [])[0];
+
+            return (objeto?.eventos || []).map(evento => checkpoint({
+                status: eventStatus(evento),
+                description: evento.descricao,
+                location: eventLocation(evento),
+                date: evento.dtHrCriado,
+                code: `${evento.codigo}${evento.tipo ? `-${evento.tipo}` : ''}`
+            }));
+        }
+    };
+}
@@ -0,0 +1,47 @@
+// events.js
+// Formato comum dos checkpoints retornados pelos provedores de rastreio
+
+// Status normalizados, do menos para o mais avançado
+export const CHECKPOINT_STATUSES = ['in_transit', 'out_for_delivery', 'delivered', 'returned'];
+
+export const CHECKPOINT_TITLES = {
+    in_transit: 'Em trânsito',
+    out_for_delivery: 'Saiu para entrega',
+    delivered: 'Pedido entregue',
+    returned: 'Devolvido ao remetente'
+};
+
+// Classificação pelo texto do evento, usada quando o código do provedor não basta
+export function statusFromDescription(description = '') {
+    const text = String(description).toLowerCase();
+    if (/devolvid|devolução|devolucao|return|retorn/.test(text)) return 'returned';
+    if (/saiu para entrega|out for delivery|em rota de entrega/.test(text)) return 'out_for_delivery';
+    if (/entregue|delivered|signed/.test(text)) return 'delivered';
+    return 'in_transit';
+}
+
+// Data do provedor em ISO. Data que não dá para ler vira null (o evento é descartado em
+// sortCheckpoints, sem derrubar os outros do mesmo código)
+const isoDate = (date) => {
+    if (!date) return null;
+    const parsed = new Date(date);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+// Montar um checkpoint normalizado
+export function checkpoint({ status, description, location = null, date, code = null }) {
+    return {
+        status: CHECKPOINT_STATUSES.includes(status) ? status : 'in_transit',
+        description: description || CHECKPOINT_TITLES[status] || '',
+        location: location || null,
+        date: isoDate(date),
+        raw_code: code
+    };
+}
+
+// Ordenar do mais antigo para o mais recente, descartando eventos sem data
+export function sortCheckpoints(events) {
+    return events
+        .filter(e => e.date)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
@@ -0,0 +1,111 @@
+// tracking/index.js
+// Consulta de checkpoints nas transportadoras por trás de uma interface comum
+// Provedores ativos em TRACKING_PROVIDERS (ex.: "correios,cainiao" ou "mock")
+//
+// Um provedor é { name, enabled, supports(tracking), fetchEvents(code) } e
+// fetchEvents devolve checkpoints normalizados (ver events.js)
+
+import { createCorreiosProvider } from './correios.js';
+import { createCainiaoProvider } from './cainiao.js';
+import { createMockProvider } from './mock.js';
+import { sortCheckpoints } from './events.js';
+
+export { CHECKPOINT_TITLES } from './events.js';
+
+const FACTORIES = {
+    correios: createCorreiosProvider,
+    cainiao: createCainiaoProvider,
+    mock: createMockProvider
+};
+
+const CACHE_TTL_MS = parseInt(process.env.TRACKING_CACHE_MINUTES || '30') * 60 * 1000;
+const cache = new Map();
+
+let providers = null;
+
+// Instanciar os provedores configurados (uma vez por instância da função)
+export function configuredProviders() {
+    if (providers) return providers;
+
+    providers = (process.env.TRACKING_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(name => {
+            if (!FACTORIES[name]) {
+                console.log(`⚠️ Provedor de rastreio desconhecido: ${name}`);
+                return null;
+            }
+            const provider = FACTORIES[name]();
+            if (!provider.enabled) {
+                console.log(`⚠️ Provedor de rastreio ${name} sem credenciais, ignorado`);
+                return null;
+            }
+            return provider;
+        })
+        .filter(Boolean);
+
+    return providers;
+}
+
+export function trackingProvidersEnabled() {
+    return configuredProviders().length > 0;
+}
+
+// Checkpoints de um código já analisado por lib/carriers.js
+// Retorna { code, provider, events, latest, error }
+export async function fetchCheckpoints(tracking) {
+    const provider = configuredProviders().find(p => p.supports(tracking));
+
+    if (!provider || !tracking.valid) {
+        return { code: tracking.code, provider: null, events: [], latest: null, error: null };
+    }
+
+    const cached = cache.get(tracking.code);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+        return cached.result;
+    }
+
+    let result;
+    try {
+        const events = sortCheckpoints(await provider.fetchEvents(tracking.code));
+        result = {
+            code: tracking.code,
+            provider: provider.name,
+            events,
+            latest: events[events.length - 1] || null,
+            error: null
+        };
+        cache.set(tracking.code, { at: Date.now(), result });
+    } catch (error) {
+        console.log(`⚠️ Erro ao consultar rastreio ${tracking.code} (${provider.name}):`, error.message);
+        result = { code: tracking.code, provider: provider.name, events: [], latest: null, error: error.message };
+    }
+
+    return result;
+}
+
+// Consultar vários códigos com concorrência limitada. Retorna Map código -> resultado
+export async function fetchCheckpointsBatch(trackings, { concurrency = 5, limit = Infinity } = {}) {
+    const results = new Map();
+    const unique = new Map(trackings.filter(t => t.valid).map(t => [t.code, t]));
+    const queue = Array.from(unique.values()).slice(0, limit);
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const tracking = queue.shift();
+            results.set(tracking.code, await fetchCheckpoints(tracking));
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+    return results;
+}
+
+// Checkpoint mais recente entre vários códigos do mesmo pedido
+export function latestCheckpoint(results) {
+    return results
+        .map(result => result && result.latest)
+        .filter(Boolean)
+        .reduce((latest, event) => (!latest || new Date(event.date) > new Date(latest.date) ? event : latest), null);
+}
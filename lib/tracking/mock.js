@@ -0,0 +1,27 @@
+// mock.js
+// Adaptador local que lê checkpoints de fixtures/tracking/<CÓDIGO>.json (testes offline)
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkpoint } from './events.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'fixtures', 'tracking');
+
+export function createMockProvider({ dir = process.env.TRACKING_FIXTURES_DIR || DEFAULT_DIR } = {}) {
+    return {
+        name: 'mock',
+        enabled: true,
+        // Atende qualquer transportadora; códigos sem fixture não têm eventos
+        supports: () => true,
+        async fetchEvents(code) {
+            try {
+                const fixture = JSON.parse(await readFile(path.join(dir, `${code}.json`), 'utf8'));
+                return (fixture.events || []).map(checkpoint);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+        }
+    };
+}
@@ -0,0 +1,180 @@
+// fake-shopify.js
+// Servidor local que imita a Admin API REST da Shopify para testar o cliente (lib/shopify-client.js)
+// Uso: node scripts/fake-shopify.js [porta] e depois SHOPIFY_API_BASE_URL=http://localhost:4010
+// Nos testes: createFakeShopify({ ... }).listen(0) (ver test/shopify-client.test.js)
+//
+// Variáveis:
+// FAKE_ORDERS=600          pedidos gerados (últimos 60 dias)
+// FAKE_BUCKET=40:2         tamanho do balde e vazão por segundo (429 quando estoura)
+// FAKE_FAIL_EVERY=0        a cada N requisições responde 503
+// FAKE_LATENCY_MS=0        atraso de cada resposta (para testar timeout)
+// FAKE_RETRY_AFTER=1.0     Retry-After das respostas 429, em segundos
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const PAGE_LIMIT_MAX = 250;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================
+// DADOS FALSOS
+// ============================
+
+const STATES = ['SP', 'RJ', 'MG', 'BA', 'PR', 'RS', 'PE'];
+const VENDORS = ['Orne', 'AliExpress', 'Fornecedor Local'];
+
+const buildOrders = (orderCount) => Array.from({ length: orderCount }, (_, i) => {
+    const id = 5900000000000 + i;
+    const created = new Date(Date.now() - (i / orderCount) * 60 * DAY_MS).toISOString();
+    const shipped = i % 3 !== 0;
+
+    return {
+        id,
+        name: `#${10000 + i}`,
+        email: `cliente${i}@example.com`,
+        created_at: created,
+        updated_at: created,
+        financial_status: 'paid',
+        fulfillment_status: shipped ? 'fulfilled' : null,
+        total_price: (99 + (i % 50) * 7.5).toFixed(2),
+        tags: i % 5 === 0 ? 'aliexpress' : '',
+        note: null,
+        cancelled_at: null,
+        customer: { id: 7000000000 + i, email: `cliente${i}@example.com`, first_name: 'Cliente', last_name: String(i) },
+        shipping_address: { city: 'Cidade', province_code: STATES[i % STATES.length], zip: `0${1000000 + i}`.slice(-8), country_code: 'BR' },
+        shipping_lines: [{ title: i % 2 ? 'PAC' : 'SEDEX', price: '19.90' }],
+        line_items: [{ id: id * 10, product_id: 800 + (i % 12), sku: `SKU-${i % 12}`, vendor: VENDORS[i % VENDORS.length], title: 'Produto', quantity: 1, price: '99.00' }],
+        fulfillments: shipped ? [{
+            id: id + 1,
+            status: 'success',
+            created_at: created,
+            tracking_company: 'Correios',
+            tracking_number: null,
+            shipment_status: i % 7 === 0 ? 'delivered' : null
+        }] : []
+    };
+});
+
+// ============================
+// SERVIDOR
+// ============================
+
+export function createFakeShopify({
+    orderCount = parseInt(process.env.FAKE_ORDERS || '600'),
+    bucket = process.env.FAKE_BUCKET || '40:2',
+    failEvery = parseInt(process.env.FAKE_FAIL_EVERY || '0'),
+    latencyMs = parseInt(process.env.FAKE_LATENCY_MS || '0'),
+    retryAfter = process.env.FAKE_RETRY_AFTER || '1.0'
+} = {}) {
+    const [BUCKET_SIZE, LEAK_RATE] = bucket.split(':').map(Number);
+    const orders = buildOrders(orderCount);
+
+    let bucketUsed = 0;
+    let bucketUpdatedAt = Date.now();
+    let requestCount = 0;
+
+    const takeFromBucket = () => {
+        const now = Date.now();
+        bucketUsed = Math.max(0, bucketUsed - ((now - bucketUpdatedAt) / 1000) * LEAK_RATE);
+        bucketUpdatedAt = now;
+        if (bucketUsed + 1 > BUCKET_SIZE) return false;
+        bucketUsed += 1;
+        return true;
+    };
+
+    const send = (res, status, body, headers = {}) => {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'X-Shopify-Shop-Api-Call-Limit': `${Math.ceil(bucketUsed)}/${BUCKET_SIZE}`,
+            ...headers
+        });
+        res.end(JSON.stringify(body));
+    };
+
+    // page_info é só o offset em base64url
+    const pageInfoFor = (offset, filters) => Buffer.from(JSON.stringify({ offset, ...filters })).toString('base64url');
+
+    const listOrders = (url, res, host) => {
+        const pageInfo = url.searchParams.get('page_info');
+        const limit = Math.min(PAGE_LIMIT_MAX, parseInt(url.searchParams.get('limit') || '50'));
+        const filters = pageInfo
+            ? JSON.parse(Buffer.from(pageInfo, 'base64url').toString('utf8'))
+            : {
+                offset: 0,
+                created_at_min: url.searchParams.get('created_at_min'),
+                updated_at_min: url.searchParams.get('updated_at_min')
+            };
+
+        const matching = orders.filter(order =>
+            (!filters.created_at_min || order.created_at >= filters.created_at_min) &&
+            (!filters.updated_at_min || order.updated_at >= filters.updated_at_min));
+        const page = matching.slice(filters.offset, filters.offset + limit);
+        const nextOffset = filters.offset + limit;
+
+        const headers = {};
+        if (nextOffset < matching.length) {
+            const next = pageInfoFor(nextOffset, { created_at_min: filters.created_at_min, updated_at_min: filters.updated_at_min });
+            headers.Link = `<http://${host}${url.pathname}?limit=${limit}&page_info=${next}>; rel="next"`;
+        }
+
+        send(res, 200, { orders: page }, headers);
+    };
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        requestCount++;
+
+        setTimeout(() => {
+            if (!req.headers['x-shopify-access-token']) {
+                return send(res, 401, { errors: '[API] Invalid API key or access token' });
+            }
+            if (failEvery > 0 && requestCount % failEvery === 0) {
+                return send(res, 503, { errors: 'Service Unavailable' });
+            }
+            if (!takeFromBucket()) {
+                return send(res, 429, { errors: 'Exceeded 2 calls per second for api client. Reduce request rates to resume uninterrupted service.' }, { 'Retry-After': retryAfter });
+            }
+
+            const match = /^\/admin\/api\/[^/]+\/(.+)$/.exec(url.pathname);
+            const path = match ? match[1] : '';
+            let found;
+
+            if (path === 'orders.json' && req.method === 'GET') return listOrders(url, res, req.headers.host);
+
+            if ((found = /^orders\/(\d+)\.json$/.exec(path))) {
+                const order = orders.find(o => String(o.id) === found[1]);
+                if (!order) return send(res, 404, { errors: 'Not Found' });
+                if (req.method === 'PUT') {
+                    let body = '';
+                    req.on('data', chunk => { body += chunk; });
+                    req.on('end', () => {
+                        Object.assign(order, JSON.parse(body || '{}').order || {}, { updated_at: new Date().toISOString() });
+                        send(res, 200, { order });
+                    });
+                    return;
+                }
+                return send(res, 200, { order });
+            }
+
+            if ((found = /^customers\/(\d+)\.json$/.exec(path))) {
+                return send(res, 200, { customer: { id: Number(found[1]), orders_count: 2, total_spent: '250.00', created_at: orders[0].created_at, tags: '' } });
+            }
+
+            if (/^orders\/\d+\/fulfillments\/\d+\/events\.json$/.test(path) && req.method === 'POST') {
+                return send(res, 201, { fulfillment_event: { id: Date.now(), status: 'delivered' } });
+            }
+
+            send(res, 404, { errors: 'Not Found' });
+        }, latencyMs);
+    });
+}
+
+// Rodando direto: node scripts/fake-shopify.js [porta]
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '4010');
+    const orderCount = parseInt(process.env.FAKE_ORDERS || '600');
+    const [size, leak] = (process.env.FAKE_BUCKET || '40:2').split(':');
+    createFakeShopify({ orderCount }).listen(port, () => {
+        console.log(`🧪 Shopify falsa em http://localhost:${port} (${orderCount} pedidos, balde de ${size} esvaziando ${leak}/s)`);
+    });
+}
@@ -0,0 +1,21 @@
+// issue-session.js
+// Emite um token de sessão (JWT HS256) para o dashboard
+// Uso: AUTH_JWT_SECRET=... node scripts/issue-session.js <usuario> <viewer|operator|admin> [horas]
+
+import { signSession, ROLES } from '../lib/auth.js';
+
+const [sub, role, hours = '12'] = process.argv.slice(2);
+
+if (!process.env.AUTH_JWT_SECRET) {
+    console.error('❌ Defina AUTH_JWT_SECRET');
+    process.exit(1);
+}
+
+if (!sub || !ROLES.includes(role)) {
+    console.error(`❌ Uso: node scripts/issue-session.js <usuario> <${ROLES.join('|')}> [horas]`);
+    process.exit(1);
+}
+
+const token = signSession({ sub, name: sub, role }, { ttlSeconds: Math.round(parseFloat(hours) * 3600) });
+
+console.log(token);
@@ -0,0 +1,54 @@
+// replay-webhooks.js
+// Reenvia os payloads de fixtures/webhooks assinados, como a Shopify faria
+// Uso: SHOPIFY_WEBHOOK_SECRET=... node scripts/replay-webhooks.js [url] [arquivo.json ...]
+// O tópico vem do nome do arquivo (orders-create.json -> orders/create)
+
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { signShopifyPayload } from '../lib/shopify-webhooks.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'webhooks');
+
+const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+const [url = 'http://localhost:3000/api/webhooks/shopify', ...files] = process.argv.slice(2);
+
+if (!secret) {
+    console.error('❌ Defina SHOPIFY_WEBHOOK_SECRET');
+    process.exit(1);
+}
+
+// Ordem natural de um pedido: criado, atualizado, enviado, entregue, cancelado
+const ORDER = ['orders-create', 'orders-updated', 'fulfillments-create', 'fulfillments-update', 'orders-cancelled'];
+
+const fixtureFiles = files.length > 0
+    ? files
+    : (await readdir(FIXTURES_DIR))
+        .filter(file => file.endsWith('.json'))
+        .sort((a, b) => ORDER.indexOf(path.basename(a, '.json')) - ORDER.indexOf(path.basename(b, '.json')))
+        .map(file => path.join(FIXTURES_DIR, file));
+
+for (const file of fixtureFiles) {
+    const name = path.basename(file, '.json');
+    const topic = name.replace('-', '/');
+    const rawBody = await readFile(file);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Topic': topic,
+            'X-Shopify-Hmac-Sha256': signShopifyPayload(rawBody, secret),
+            'X-Shopify-Shop-Domain': process.env.SHOP_DOMAIN || 'orne-decor-studio.myshopify.com',
+            // Id fixo por arquivo: reenviar o mesmo arquivo testa a deduplicação
+            'X-Shopify-Webhook-Id': `fixture-${name}`
+        },
+        body: rawBody
+    });
+
+    console.log(`${response.ok ? '✅' : '❌'} ${topic}: ${response.status}`, await response.text());
+
+    if (!response.ok) {
+        process.exitCode = 1;
+    }
+}
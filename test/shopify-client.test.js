@@ -0,0 +1,109 @@
+// shopify-client.test.js
+// Cliente da Shopify (lib/shopify-client.js) contra a Shopify falsa de scripts/fake-shopify.js
+// Uso: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { createFakeShopify } = await import('../scripts/fake-shopify.js');
+const {
+    createShopifyClient,
+    ShopifyRateLimitError,
+    ShopifyTimeoutError
+} = await import('../lib/shopify-client.js');
+
+// Sobe a Shopify falsa numa porta livre e devolve um cliente apontado para ela
+async function withFakeShopify(fakeOptions, clientOptions, run) {
+    const server = createFakeShopify(fakeOptions);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const client = createShopifyClient({
+            // Cada teste com seu balde (o estado do balde é por domínio)
+            shopDomain: `teste-${server.address().port}.myshopify.com`,
+            baseUrl: `http://127.0.0.1:${server.address().port}`,
+            accessToken: 'teste',
+            retryBaseMs: 10,
+            retryMaxMs: 50,
+            ...clientOptions
+        });
+        return await run(client);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('percorre todas as páginas pelo page_info do header Link', async () => {
+    await withFakeShopify({ orderCount: 120 }, {}, async (client) => {
+        const ids = [];
+        let pageInfo = null;
+
+        do {
+            const { data, nextPageInfo } = await client.get('orders.json', {
+                query: pageInfo ? { limit: 50, page_info: pageInfo } : { limit: 50, status: 'any' }
+            });
+            ids.push(...data.orders.map(order => order.id));
+            pageInfo = nextPageInfo;
+        } while (pageInfo);
+
+        assert.equal(ids.length, 120);
+        assert.equal(new Set(ids).size, 120);
+    });
+});
+
+test('503 é repetido até a Shopify responder', async () => {
+    await withFakeShopify({ orderCount: 5, failEvery: 2 }, {}, async (client) => {
+        for (let i = 0; i < 4; i++) {
+            const { data } = await client.get('orders.json');
+            assert.equal(data.orders.length, 5);
+        }
+    });
+});
+
+test('balde acompanha o header X-Shopify-Shop-Api-Call-Limit', async () => {
+    await withFakeShopify({ orderCount: 5, bucket: '10:2' }, {}, async (client) => {
+        await client.get('orders.json');
+        assert.deepEqual(client.bucket(), { used: 1, size: 10 });
+    });
+});
+
+test('429 espera o Retry-After e tenta de novo', async () => {
+    // Balde de 2 chamadas esvaziando 10/s; sem o controle do balde a terceira chamada leva 429
+    await withFakeShopify({ orderCount: 5, bucket: '2:10', retryAfter: '0.1' }, {}, async (client) => {
+        for (let i = 0; i < 4; i++) {
+            const { data } = await client.get('orders.json', { paced: false });
+            assert.equal(data.orders.length, 5);
+        }
+    });
+});
+
+test('Retry-After longo é encurtado para maxRetryAfterMs', async () => {
+    // Shopify pede 1 hora, mas o balde de 1 chamada esvazia em 50ms: a tentativa após 100ms passa
+    await withFakeShopify({ orderCount: 5, bucket: '1:20', retryAfter: '3600' }, { maxRetryAfterMs: 100 }, async (client) => {
+        await client.get('orders.json');
+
+        const started = Date.now();
+        const { data } = await client.get('orders.json', { paced: false });
+        assert.equal(data.orders.length, 5);
+        assert.ok(Date.now() - started < 1000);
+    });
+});
+
+test('sem tempo no prazo total a espera não começa e o 429 é lançado', async () => {
+    await withFakeShopify({ orderCount: 5, bucket: '1:0.001', retryAfter: '5' }, { deadlineMs: 2000 }, async (client) => {
+        await client.get('orders.json');
+
+        const started = Date.now();
+        await assert.rejects(client.get('orders.json', { paced: false }), ShopifyRateLimitError);
+        assert.ok(Date.now() - started < 1000);
+    });
+});
+
+test('timeout por tentativa não passa do prazo total', async () => {
+    await withFakeShopify({ orderCount: 5, latencyMs: 500 }, { timeoutMs: 10000, deadlineMs: 200 }, async (client) => {
+        const started = Date.now();
+        await assert.rejects(client.get('orders.json'), ShopifyTimeoutError);
+        assert.ok(Date.now() - started < 450);
+    });
+});
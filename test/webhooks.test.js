@@ -0,0 +1,90 @@
+// webhooks.test.js
+// Receptor de webhooks (api/webhooks/shopify.js) com os payloads de fixtures/webhooks assinados
+// Uso: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+
+process.env.STORE_DRIVER = 'memory';
+process.env.SHOPIFY_WEBHOOK_SECRET = 'segredo-de-teste';
+delete process.env.STORES_CONFIG_PATH;
+
+const { signShopifyPayload } = await import('../lib/shopify-webhooks.js');
+const { getStoredOrder, listStoredOrders } = await import('../lib/order-store.js');
+const { default: handler } = await import('../api/webhooks/shopify.js');
+
+const ORDER_ID = 5900000000001;
+
+const fixture = (name) => readFile(new URL(`../fixtures/webhooks/${name}.json`, import.meta.url));
+
+// Resposta mínima no formato que os handlers da Vercel usam
+const fakeResponse = () => ({
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+// Entregar um fixture como a Shopify: tópico pelo nome do arquivo, corpo cru assinado
+async function deliver(name, { webhookId = `teste-${name}`, secret = process.env.SHOPIFY_WEBHOOK_SECRET } = {}) {
+    const rawBody = await fixture(name);
+    const res = fakeResponse();
+
+    await handler({
+        method: 'POST',
+        headers: {
+            'x-shopify-topic': name.replace('-', '/'),
+            'x-shopify-hmac-sha256': signShopifyPayload(rawBody, secret),
+            'x-shopify-shop-domain': 'orne-decor-studio.myshopify.com',
+            'x-shopify-webhook-id': webhookId
+        },
+        rawBody
+    }, res);
+
+    return res;
+}
+
+test('assinatura inválida responde 401 e não grava nada', async () => {
+    const res = await deliver('orders-create', { webhookId: 'teste-hmac', secret: 'outro-segredo' });
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Assinatura inválida');
+    assert.equal(await getStoredOrder(ORDER_ID), null);
+});
+
+test('pedido criado, enviado e cancelado fica na cópia local no estado final', async () => {
+    const created = await deliver('orders-create');
+    assert.equal(created.statusCode, 200);
+    assert.equal(created.body.applied, true);
+
+    const fulfilled = await deliver('fulfillments-create');
+    assert.equal(fulfilled.statusCode, 200);
+    assert.equal(fulfilled.body.applied, true);
+
+    let order = await getStoredOrder(ORDER_ID);
+    assert.equal(order.cancelled_at, null);
+    assert.deepEqual(order.fulfillments.map(f => f.tracking_number), ['AA123456785BR']);
+
+    const cancelled = await deliver('orders-cancelled');
+    assert.equal(cancelled.statusCode, 200);
+    assert.equal(cancelled.body.applied, true);
+
+    order = await getStoredOrder(ORDER_ID);
+    assert.equal(order.cancelled_at, '2025-01-20T16:45:00-03:00');
+    assert.equal(order.financial_status, 'refunded');
+    assert.deepEqual(order.fulfillments.map(f => f.id), [5200000000001]);
+    assert.deepEqual((await listStoredOrders()).map(o => o.id), [ORDER_ID]);
+});
+
+test('mesmo X-Shopify-Webhook-Id é entregue uma vez só', async () => {
+    const first = await deliver('orders-updated', { webhookId: 'teste-repetido' });
+    const again = await deliver('orders-updated', { webhookId: 'teste-repetido' });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.duplicate, undefined);
+    assert.equal(again.statusCode, 200);
+    assert.equal(again.body.duplicate, true);
+});